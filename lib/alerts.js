@@ -0,0 +1,339 @@
+/**
+ * lib/alerts.js
+ *
+ * Webhook alerts on relay changes, evaluated after every ingest (see
+ * runIngest in lib/ingest.js) and by `tools/alerts-dry-run.js`.
+ *
+ * Rules live in data/alerts.json (ALERTS_FILE overrides the path; see
+ * data/alerts.example.json):
+ *
+ *   {
+ *     "webhooks": [{ "name": "oncall", "url": "https://...", "headers": {} }],
+ *     "cooldownMinutes": 60,
+ *     "rules": [
+ *       { "id": "se-low", "type": "country-active-below", "country": "SE", "min": 20 },
+ *       { "id": "city-dark", "type": "city-dark" },
+ *       { "id": "got-1", "type": "relay-offline", "relay": "se-got-wg-001" },
+ *       { "id": "new-relay", "type": "relay-added" },
+ *       { "id": "new-country", "type": "country-added" },
+ *       { "id": "m247", "type": "provider-share-above", "provider": "M247", "percent": 30 }
+ *     ]
+ *   }
+ *
+ * Every rule is edge-triggered: it matches when its condition is true for the
+ * new dataset and was not for the previous one, so a country that stays below
+ * its threshold alerts once. Each match has a key (rule id + subject, e.g.
+ * "se-low:SE"); a key that was sent less than the cooldown ago is suppressed,
+ * which keeps a flapping relay from paging on every flip. Send times are kept
+ * in data/alerts-state.json.
+ *
+ * Optional per rule: `webhooks` (names to send to; default all) and
+ * `cooldownMinutes`.
+ */
+
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { readFile } from 'fs/promises';
+import { writeFileAtomic } from './fs-atomic.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const DATA_DIR = path.join(__dirname, '..', 'data');
+export const ALERTS_PATH = process.env.ALERTS_FILE || path.join(DATA_DIR, 'alerts.json');
+export const ALERTS_STATE_PATH = path.join(DATA_DIR, 'alerts-state.json');
+export const DEFAULT_COOLDOWN_MINUTES = 60;
+const WEBHOOK_TIMEOUT_MS = 10000;
+
+export const RULE_TYPES = [
+  'country-active-below', 'city-dark', 'relay-offline', 'relay-added', 'country-added', 'provider-share-above'
+];
+
+export class AlertRulesError extends Error {
+  constructor(message, details = []) {
+    super(message);
+    this.name = 'AlertRulesError';
+    this.details = details;
+  }
+}
+
+const upper = v => String(v || '').toUpperCase();
+const lower = v => String(v || '').toLowerCase();
+
+/**
+ * Check a parsed rules file; throws AlertRulesError listing every problem.
+ */
+export function validateAlertConfig(config) {
+  const details = [];
+  if (!config || typeof config !== 'object') throw new AlertRulesError('alert rules must be a JSON object');
+  const webhooks = Array.isArray(config.webhooks) ? config.webhooks : [];
+  if (config.webhooks != null && !Array.isArray(config.webhooks)) details.push('webhooks: expected an array');
+  webhooks.forEach((w, i) => {
+    if (!w || typeof w.url !== 'string' || !/^https?:\/\//.test(w.url)) details.push(`webhooks[${i}]: url must be an http(s) URL`);
+  });
+  const names = webhooks.map(w => w && w.name).filter(Boolean);
+  if (!Array.isArray(config.rules)) details.push('rules: expected an array');
+
+  const ids = new Set();
+  (Array.isArray(config.rules) ? config.rules : []).forEach((r, i) => {
+    const where = `rules[${i}]${r && r.id ? ` (${r.id})` : ''}`;
+    if (!r || typeof r.id !== 'string' || !r.id) return details.push(`${where}: id is required`);
+    if (ids.has(r.id)) details.push(`${where}: duplicate id`);
+    ids.add(r.id);
+    if (!RULE_TYPES.includes(r.type)) details.push(`${where}: type must be one of ${RULE_TYPES.join(', ')}`);
+    if (r.type === 'country-active-below') {
+      if (!r.country) details.push(`${where}: country is required`);
+      if (!Number.isInteger(r.min) || r.min < 1) details.push(`${where}: min must be a positive integer`);
+    }
+    if (r.type === 'relay-offline' && !(typeof r.relay === 'string' || Array.isArray(r.relay))) {
+      details.push(`${where}: relay must be a relay id or a list of ids`);
+    }
+    if (r.type === 'provider-share-above') {
+      if (!r.provider) details.push(`${where}: provider is required`);
+      if (typeof r.percent !== 'number' || r.percent <= 0 || r.percent >= 100) details.push(`${where}: percent must be between 0 and 100`);
+    }
+    if (r.webhooks != null) {
+      const unknown = (Array.isArray(r.webhooks) ? r.webhooks : [r.webhooks]).filter(n => !names.includes(n));
+      if (unknown.length) details.push(`${where}: unknown webhooks ${unknown.join(', ')}`);
+    }
+    if (r.cooldownMinutes != null && !(typeof r.cooldownMinutes === 'number' && r.cooldownMinutes >= 0)) {
+      details.push(`${where}: cooldownMinutes must be a non-negative number`);
+    }
+  });
+  if (details.length) throw new AlertRulesError('invalid alert rules', details);
+  return config;
+}
+
+/**
+ * Read and validate the rules file. Resolves to null when it does not exist.
+ */
+export async function loadAlertConfig(file = ALERTS_PATH) {
+  let contents;
+  try {
+    contents = await readFile(file, 'utf8');
+  } catch (err) {
+    if (err && err.code === 'ENOENT') return null;
+    throw err;
+  }
+  return validateAlertConfig(JSON.parse(contents));
+}
+
+// Active relay counts per key
+function activeCounts(relays, keyOf) {
+  const counts = new Map();
+  for (const r of relays) {
+    const key = keyOf(r);
+    if (!counts.has(key)) counts.set(key, 0);
+    if (r.active === true) counts.set(key, counts.get(key) + 1);
+  }
+  return counts;
+}
+
+function inCountry(rule, r) {
+  return !rule.country || upper(r.countryCode) === upper(rule.country) || lower(r.country) === lower(rule.country);
+}
+
+function providerShare(relays, rule) {
+  const active = relays.filter(r => r.active === true && inCountry(rule, r));
+  if (!active.length) return 0;
+  const hosted = active.filter(r => lower(r.provider) === lower(rule.provider)).length;
+  return (hosted / active.length) * 100;
+}
+
+const place = r => `${r.city}, ${r.countryCode}`;
+
+// Matches for one rule: [{ subject, message, details }]
+function evaluateRule(rule, prev, next) {
+  const prevById = new Map(prev.map(r => [r.id, r]));
+  switch (rule.type) {
+    case 'country-active-below': {
+      const count = relays => relays.filter(r => r.active === true && inCountry(rule, r)).length;
+      const before = count(prev);
+      const after = count(next);
+      if (after >= rule.min || before < rule.min) return [];
+      return [{
+        subject: upper(rule.country),
+        message: `Active relays in ${upper(rule.country)} dropped to ${after} (below ${rule.min}; was ${before})`,
+        details: { country: upper(rule.country), active: after, previous: before, min: rule.min }
+      }];
+    }
+    case 'city-dark': {
+      const keyOf = r => `${r.countryCode}|${r.city}`;
+      const before = activeCounts(prev.filter(r => inCountry(rule, r)), keyOf);
+      const after = activeCounts(next.filter(r => inCountry(rule, r)), keyOf);
+      const matches = [];
+      for (const [key, was] of before) {
+        const [countryCode, city] = key.split('|');
+        if (was === 0 || (after.get(key) || 0) > 0) continue;
+        if (rule.city && lower(city) !== lower(rule.city)) continue;
+        matches.push({
+          subject: key,
+          message: `All relays in ${city}, ${countryCode} are offline (${was} were active)`,
+          details: { countryCode, city, previousActive: was, relays: after.has(key) ? next.filter(r => keyOf(r) === key).length : 0 }
+        });
+      }
+      return matches;
+    }
+    case 'relay-offline': {
+      const ids = Array.isArray(rule.relay) ? rule.relay : [rule.relay];
+      const nextById = new Map(next.map(r => [r.id, r]));
+      return ids.filter(id => {
+        const before = prevById.get(id);
+        const after = nextById.get(id);
+        return before && before.active === true && (!after || after.active !== true);
+      }).map(id => ({
+        subject: id,
+        message: `Relay ${id} (${place(prevById.get(id))}) went offline${nextById.has(id) ? '' : ' (removed from the relay list)'}`,
+        details: { id, removed: !nextById.has(id) }
+      }));
+    }
+    case 'relay-added':
+      return next.filter(r => !prevById.has(r.id) && inCountry(rule, r)).map(r => ({
+        subject: r.id,
+        message: `New relay ${r.id} in ${place(r)} (${r.type}, ${r.provider || 'unknown provider'})`,
+        details: { id: r.id, type: r.type, countryCode: r.countryCode, city: r.city, provider: r.provider, active: r.active }
+      }));
+    case 'country-added': {
+      const before = activeCounts(prev, r => r.countryCode);
+      const after = activeCounts(next, r => r.countryCode);
+      return [...after].filter(([code, n]) => n > 0 && !(before.get(code) > 0)).map(([code, n]) => {
+        const name = (next.find(r => r.countryCode === code) || {}).country || code;
+        return {
+          subject: code,
+          message: `${name} (${code}) came online with ${n} active relays`,
+          details: { countryCode: code, country: name, active: n }
+        };
+      });
+    }
+    case 'provider-share-above': {
+      const before = providerShare(prev, rule);
+      const after = providerShare(next, rule);
+      if (after <= rule.percent || before > rule.percent) return [];
+      const scope = rule.country ? ` in ${upper(rule.country)}` : '';
+      return [{
+        subject: `${lower(rule.provider)}${rule.country ? `|${upper(rule.country)}` : ''}`,
+        message: `${rule.provider} now hosts ${after.toFixed(1)}% of active relays${scope} (above ${rule.percent}%; was ${before.toFixed(1)}%)`,
+        details: { provider: rule.provider, country: rule.country ? upper(rule.country) : null, share: Math.round(after * 10) / 10, previous: Math.round(before * 10) / 10, percent: rule.percent }
+      }];
+    }
+    default:
+      return [];
+  }
+}
+
+/**
+ * All rule matches between two relay lists:
+ * [{ key, ruleId, type, message, details }], at most one per key.
+ */
+export function evaluateAlertRules(config, prevRelays, nextRelays) {
+  const alerts = new Map();
+  for (const rule of config.rules) {
+    for (const m of evaluateRule(rule, prevRelays, nextRelays)) {
+      const key = `${rule.id}:${m.subject}`;
+      if (!alerts.has(key)) alerts.set(key, { key, ruleId: rule.id, type: rule.type, message: m.message, details: m.details });
+    }
+  }
+  return [...alerts.values()];
+}
+
+/**
+ * Split alerts into those due now and those still in their cooldown, given
+ * state = { [key]: { lastSentAt } }.
+ */
+export function applyCooldown(config, alerts, state, now = new Date()) {
+  const due = [];
+  const suppressed = [];
+  for (const alert of alerts) {
+    const rule = config.rules.find(r => r.id === alert.ruleId) || {};
+    const minutes = rule.cooldownMinutes != null ? rule.cooldownMinutes
+      : (config.cooldownMinutes != null ? config.cooldownMinutes : DEFAULT_COOLDOWN_MINUTES);
+    const last = state[alert.key] ? Date.parse(state[alert.key].lastSentAt) : NaN;
+    if (!Number.isNaN(last) && now.getTime() - last < minutes * 60 * 1000) suppressed.push(alert);
+    else due.push(alert);
+  }
+  return { due, suppressed };
+}
+
+/**
+ * Webhooks an alert is routed to: the rule's `webhooks` names, or all.
+ */
+export function webhooksForAlert(config, alert) {
+  const rule = config.rules.find(r => r.id === alert.ruleId) || {};
+  const names = rule.webhooks == null ? null : (Array.isArray(rule.webhooks) ? rule.webhooks : [rule.webhooks]);
+  return (config.webhooks || []).filter(w => !names || names.includes(w.name));
+}
+
+/**
+ * POST one JSON payload per webhook with the alerts routed to it. `text` is a
+ * plain summary so chat webhooks (e.g. Slack) show something readable.
+ * Resolves to [{ webhook, ok, status, error, alerts }].
+ */
+export async function sendAlertWebhooks(config, alerts, { generatedAt = null, previousGeneratedAt = null } = {}) {
+  const results = [];
+  for (const webhook of config.webhooks || []) {
+    const routed = alerts.filter(a => webhooksForAlert(config, a).includes(webhook));
+    if (!routed.length) continue;
+    const payload = {
+      source: 'mullvad-viz',
+      generatedAt,
+      previousGeneratedAt,
+      text: routed.map(a => a.message).join('\n'),
+      alerts: routed
+    };
+    const name = webhook.name || webhook.url;
+    try {
+      const res = await fetch(webhook.url, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', ...(webhook.headers || {}) },
+        body: JSON.stringify(payload),
+        signal: AbortSignal.timeout(WEBHOOK_TIMEOUT_MS)
+      });
+      results.push({ webhook: name, ok: res.ok, status: res.status, error: null, alerts: routed });
+    } catch (err) {
+      results.push({ webhook: name, ok: false, status: null, error: err && err.message ? err.message : String(err), alerts: routed });
+    }
+  }
+  return results;
+}
+
+async function readState(file) {
+  try {
+    return JSON.parse(await readFile(file, 'utf8'));
+  } catch {
+    return {};
+  }
+}
+
+/**
+ * Evaluate the rules file for a dataset change and send what is due.
+ * A key starts its cooldown once at least one webhook accepted it; failed
+ * deliveries are only logged. Resolves to
+ * { alerts, due, suppressed, deliveries } or null when no rules file exists.
+ */
+export async function runAlerts(prevDataset, nextDataset, {
+  file = ALERTS_PATH,
+  stateFile = ALERTS_STATE_PATH,
+  now = new Date(),
+  log = console
+} = {}) {
+  const config = await loadAlertConfig(file);
+  if (!config || !prevDataset) return null;
+
+  const alerts = evaluateAlertRules(config, prevDataset.relays, nextDataset.relays);
+  const state = await readState(stateFile);
+  const { due, suppressed } = applyCooldown(config, alerts, state, now);
+  const deliveries = due.length ? await sendAlertWebhooks(config, due, {
+    generatedAt: nextDataset.generatedAt || null,
+    previousGeneratedAt: prevDataset.generatedAt || null
+  }) : [];
+
+  for (const d of deliveries) {
+    if (d.ok) d.alerts.forEach(a => { state[a.key] = { lastSentAt: now.toISOString() }; });
+    else log.error(`Alert webhook ${d.webhook} failed: ${d.error || `HTTP ${d.status}`}`);
+  }
+  if (deliveries.some(d => d.ok)) await writeFileAtomic(stateFile, JSON.stringify(state, null, 2));
+  if (alerts.length) {
+    log.log(`Alerts: ${alerts.length} matched, ${due.length} sent, ${suppressed.length} in cooldown`);
+  }
+  return { alerts, due, suppressed, deliveries };
+}
@@ -0,0 +1,162 @@
+/**
+ * lib/boundaries.js
+ *
+ * Country boundaries from the bundled data/world-countries.geojson, for the
+ * server-side geometry checks (coverage grid, coordinate review).
+ *
+ * Each country is { code, name, polygons, bbox, centroid } where code is the
+ * ISO 3166-1 alpha-2 code (null for a few disputed areas), polygons are
+ * GeoJSON rings ([[lon, lat], ...], outer ring first), bbox is
+ * [minLon, minLat, maxLon, maxLat] and centroid is [lat, lon] of the
+ * country's largest polygon (so overseas territories do not drag it into the
+ * sea). The file is parsed once per process.
+ */
+
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { readFile } from 'fs/promises';
+import { haversineKm } from './geo.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+export const BOUNDARIES_PATH = path.join(__dirname, '..', 'data', 'world-countries.geojson');
+
+// How far outside its country's shape a point may lie and still count as in
+// it: coastal cities and the coarse 1:110m outlines are often a few km apart
+export const BORDER_TOLERANCE_KM = 50;
+
+let boundariesPromise = null;
+
+// Ray casting against one polygon ring ([[lon, lat], ...])
+function inRing(lon, lat, ring) {
+  let inside = false;
+  for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+    const [xi, yi] = ring[i];
+    const [xj, yj] = ring[j];
+    if ((yi > lat) !== (yj > lat) && lon < ((xj - xi) * (lat - yi)) / (yj - yi) + xi) inside = !inside;
+  }
+  return inside;
+}
+
+// Polygon = outer ring followed by holes
+function inPolygon(lon, lat, rings) {
+  if (!inRing(lon, lat, rings[0])) return false;
+  return !rings.slice(1).some(hole => inRing(lon, lat, hole));
+}
+
+function polygonsOf(geometry) {
+  if (!geometry) return [];
+  if (geometry.type === 'Polygon') return [geometry.coordinates];
+  if (geometry.type === 'MultiPolygon') return geometry.coordinates;
+  return [];
+}
+
+function bbox(polygons) {
+  const b = [Infinity, Infinity, -Infinity, -Infinity];
+  for (const rings of polygons) {
+    for (const [lon, lat] of rings[0]) {
+      b[0] = Math.min(b[0], lon);
+      b[1] = Math.min(b[1], lat);
+      b[2] = Math.max(b[2], lon);
+      b[3] = Math.max(b[3], lat);
+    }
+  }
+  return b;
+}
+
+// Planar (shoelace) area and centroid of an outer ring, in degrees
+function ringCentroid(ring) {
+  let area = 0;
+  let cx = 0;
+  let cy = 0;
+  for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+    const [x0, y0] = ring[j];
+    const [x1, y1] = ring[i];
+    const f = x0 * y1 - x1 * y0;
+    area += f;
+    cx += (x0 + x1) * f;
+    cy += (y0 + y1) * f;
+  }
+  if (area === 0) return { area: 0, point: [ring[0][1], ring[0][0]] };
+  return { area: Math.abs(area / 2), point: [cy / (3 * area), cx / (3 * area)] };
+}
+
+// Largest polygon's centroid and area
+function largestPolygon(polygons) {
+  let best = null;
+  for (const rings of polygons) {
+    const c = ringCentroid(rings[0]);
+    if (!best || c.area > best.area) best = c;
+  }
+  return best;
+}
+
+/**
+ * All countries of the boundaries file. Features sharing an ISO code (e.g.
+ * Australia and the Ashmore and Cartier Islands) are merged into one country
+ * named after the largest.
+ */
+export function loadCountryBoundaries(file = BOUNDARIES_PATH) {
+  if (!boundariesPromise) {
+    boundariesPromise = readFile(file, 'utf8').then(contents => {
+      const countries = [];
+      const byCode = new Map();
+      for (const f of JSON.parse(contents).features) {
+        const code = f.properties.iso_a2 || null;
+        const polygons = polygonsOf(f.geometry);
+        const largest = largestPolygon(polygons);
+        const existing = code ? byCode.get(code) : null;
+        if (existing) {
+          existing.polygons.push(...polygons);
+          if (largest && largest.area > existing.largest.area) Object.assign(existing, { name: f.properties.name, largest });
+          continue;
+        }
+        const country = { code, name: f.properties.name, polygons, largest };
+        countries.push(country);
+        if (code) byCode.set(code, country);
+      }
+      return countries.map(({ largest, ...c }) => ({
+        ...c,
+        bbox: bbox(c.polygons),
+        centroid: largest ? largest.point.map(v => Math.round(v * 10000) / 10000) : null
+      }));
+    }).catch(err => {
+      boundariesPromise = null;
+      throw err;
+    });
+  }
+  return boundariesPromise;
+}
+
+/**
+ * Whether (lat, lon) lies inside `country`'s polygons.
+ */
+export function countryContains(country, lat, lon) {
+  const [minLon, minLat, maxLon, maxLat] = country.bbox;
+  if (lon < minLon || lon > maxLon || lat < minLat || lat > maxLat) return false;
+  return country.polygons.some(rings => inPolygon(lon, lat, rings));
+}
+
+/**
+ * The first country containing (lat, lon), or null (sea, or a territory
+ * missing from the file).
+ */
+export function countryAt(countries, lat, lon) {
+  return countries.find(c => countryContains(c, lat, lon)) || null;
+}
+
+/**
+ * Approximate distance in km from (lat, lon) to `country`'s border: 0 when
+ * inside, otherwise the distance to the nearest boundary vertex. Vertices of
+ * the 1:110m shapes are a few tens of km apart, which is plenty for telling a
+ * coastal city from one on another continent.
+ */
+export function distanceToCountryKm(country, lat, lon) {
+  if (countryContains(country, lat, lon)) return 0;
+  let best = Infinity;
+  for (const rings of country.polygons) {
+    for (const [vlon, vlat] of rings[0]) best = Math.min(best, haversineKm([lat, lon], [vlat, vlon]));
+  }
+  return best;
+}
@@ -0,0 +1,202 @@
+/**
+ * lib/coordinate-overrides.js
+ *
+ * Hand-corrected city coordinates that win over data/city-coordinates.json
+ * when relays are resolved (see resolveCoordinates in lib/ingest.js), so a
+ * fix survives every later ingest and every re-run of the geocoder.
+ *
+ * Overrides live in data/coordinate-overrides.json (COORDINATE_OVERRIDES_FILE
+ * overrides the path), keyed by "<country code>-<city code>" in lower case,
+ * the prefix of the relays' hostnames (e.g. "al-tia" for al-tia-wg-001):
+ *
+ *   {
+ *     "overrides": {
+ *       "al-tia": { "countryCode": "AL", "cityCode": "tia", "city": "Tirana",
+ *                   "lat": 41.3275, "lon": 19.8189, "reason": "...",
+ *                   "updatedBy": "alice", "updatedAt": "2024-..." }
+ *     },
+ *     "history": [
+ *       { "at": "2024-...", "by": "alice", "action": "create", "key": "al-tia",
+ *         "reason": "...", "before": null, "after": { "lat": 41.3275, "lon": 19.8189 } }
+ *     ]
+ *   }
+ *
+ * `history` is the audit trail: every create, update and delete is appended
+ * and never rewritten. Changes are made through /api/coordinates (token
+ * protected) or `tools/add-city-coordinate.js`; writes within one process are
+ * serialized so concurrent edits cannot lose each other.
+ */
+
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { readFile } from 'fs/promises';
+import { writeFileAtomic } from './fs-atomic.js';
+import { BORDER_TOLERANCE_KM, distanceToCountryKm, loadCountryBoundaries } from './boundaries.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+export const OVERRIDES_PATH = process.env.COORDINATE_OVERRIDES_FILE
+  || path.join(__dirname, '..', 'data', 'coordinate-overrides.json');
+
+const KEY_PATTERN = /^([a-z]{2})-([a-z0-9]+)$/;
+const MAX_TEXT_LENGTH = 500;
+
+/**
+ * status is the HTTP status /api/coordinates answers with (400 or 404).
+ */
+export class CoordinateOverrideError extends Error {
+  constructor(message, status = 400, details = []) {
+    super(message);
+    this.name = 'CoordinateOverrideError';
+    this.status = status;
+    this.details = details;
+  }
+}
+
+/**
+ * Override key for a relay's city, or null without a city code.
+ */
+export function overrideKey(countryCode, cityCode) {
+  if (!countryCode || !cityCode) return null;
+  return `${countryCode}-${cityCode}`.toLowerCase();
+}
+
+export function isOverrideKey(key) {
+  return KEY_PATTERN.test(String(key || ''));
+}
+
+/**
+ * The overrides file, or an empty one when it does not exist.
+ */
+export async function readCoordinateOverrides(file = OVERRIDES_PATH) {
+  let contents;
+  try {
+    contents = await readFile(file, 'utf8');
+  } catch (err) {
+    if (err && err.code === 'ENOENT') return { overrides: {}, history: [] };
+    throw err;
+  }
+  const parsed = JSON.parse(contents);
+  return {
+    overrides: parsed && parsed.overrides && typeof parsed.overrides === 'object' ? parsed.overrides : {},
+    history: parsed && Array.isArray(parsed.history) ? parsed.history : []
+  };
+}
+
+// One read-modify-write at a time
+let writeQueue = Promise.resolve();
+function serialized(fn) {
+  const run = writeQueue.then(fn, fn);
+  writeQueue = run.catch(() => {});
+  return run;
+}
+
+function text(value, name, details) {
+  const s = typeof value === 'string' ? value.trim() : '';
+  if (!s) details.push(`${name} is required`);
+  else if (s.length > MAX_TEXT_LENGTH) details.push(`${name} must be at most ${MAX_TEXT_LENGTH} characters`);
+  return s;
+}
+
+function coordinate(value, name, max, details) {
+  const n = typeof value === 'string' && value.trim() !== '' ? Number(value) : value;
+  if (typeof n !== 'number' || !Number.isFinite(n) || n < -max || n > max) {
+    details.push(`${name} must be a number between -${max} and ${max}`);
+    return null;
+  }
+  return Math.round(n * 1e6) / 1e6;
+}
+
+// Reject points well outside the country, the mistake overrides usually fix
+async function checkInCountry(countryCode, lat, lon) {
+  const countries = await loadCountryBoundaries();
+  const country = countries.find(c => c.code === countryCode.toUpperCase());
+  if (!country) return;
+  const outsideKm = distanceToCountryKm(country, lat, lon);
+  if (outsideKm > BORDER_TOLERANCE_KM) {
+    throw new CoordinateOverrideError('coordinates lie outside the country', 400, [
+      `(${lat}, ${lon}) is ~${Math.round(outsideKm)} km outside ${country.code}; set force to save anyway`
+    ]);
+  }
+}
+
+/**
+ * Create or replace the override `key` from { lat, lon, reason, author,
+ * city?, force? }. Resolves to { override, created }. Throws
+ * CoordinateOverrideError on invalid input, including a point more than
+ * BORDER_TOLERANCE_KM outside the key's country unless `force` is set.
+ */
+export function setCoordinateOverride(key, input, { file = OVERRIDES_PATH, now = new Date() } = {}) {
+  const details = [];
+  const match = KEY_PATTERN.exec(String(key || ''));
+  if (!match) details.push('key must look like "<country code>-<city code>", e.g. "al-tia"');
+  const body = input && typeof input === 'object' ? input : {};
+  const lat = coordinate(body.lat, 'lat', 90, details);
+  const lon = coordinate(body.lon, 'lon', 180, details);
+  const reason = text(body.reason, 'reason', details);
+  const author = text(body.author, 'author', details);
+  if (body.city != null && typeof body.city !== 'string') details.push('city must be a string');
+  if (details.length) return Promise.reject(new CoordinateOverrideError('invalid coordinate override', 400, details));
+
+  return serialized(async () => {
+    const [, cc, cityCode] = match;
+    if (body.force !== true) await checkInCountry(cc, lat, lon);
+    const data = await readCoordinateOverrides(file);
+    const previous = data.overrides[key] || null;
+    const at = now.toISOString();
+    const override = {
+      countryCode: cc.toUpperCase(),
+      cityCode,
+      city: (body.city || '').trim() || (previous ? previous.city : null) || null,
+      lat,
+      lon,
+      reason,
+      updatedBy: author,
+      updatedAt: at
+    };
+    data.overrides[key] = override;
+    data.history.push({
+      at,
+      by: author,
+      action: previous ? 'update' : 'create',
+      key,
+      reason,
+      before: previous ? { lat: previous.lat, lon: previous.lon } : null,
+      after: { lat, lon }
+    });
+    await writeFileAtomic(file, JSON.stringify(data, null, 2));
+    return { override, created: !previous };
+  });
+}
+
+/**
+ * Remove the override `key`; { reason, author } are recorded in the history.
+ * Resolves to the removed override; throws CoordinateOverrideError (404)
+ * when there is none.
+ */
+export function deleteCoordinateOverride(key, input, { file = OVERRIDES_PATH, now = new Date() } = {}) {
+  const details = [];
+  const body = input && typeof input === 'object' ? input : {};
+  const reason = text(body.reason, 'reason', details);
+  const author = text(body.author, 'author', details);
+  if (details.length) return Promise.reject(new CoordinateOverrideError('invalid request', 400, details));
+
+  return serialized(async () => {
+    const data = await readCoordinateOverrides(file);
+    const previous = isOverrideKey(key) ? data.overrides[key] : null;
+    if (!previous) throw new CoordinateOverrideError(`no override for ${key}`, 404);
+    delete data.overrides[key];
+    data.history.push({
+      at: now.toISOString(),
+      by: author,
+      action: 'delete',
+      key,
+      reason,
+      before: { lat: previous.lat, lon: previous.lon },
+      after: null
+    });
+    await writeFileAtomic(file, JSON.stringify(data, null, 2));
+    return previous;
+  });
+}
@@ -0,0 +1,57 @@
+/**
+ * lib/countries.js
+ *
+ * The bundled country reference (data/country-reference.json), the one source
+ * of country names, codes, centroids and regions for ingestion and the server.
+ * It holds the ISO 3166-1 countries plus Kosovo under the user-assigned code
+ * XK (numeric null).
+ *
+ * Each country is { alpha2, alpha3, numeric, name, officialName, centroid,
+ * continent, region, subregion } where centroid is [lat, lon]. region and
+ * subregion are the grouping of the world-countries package the file is built
+ * from. It resembles the UN M49 geoscheme but is not it: region "Americas" and
+ * "Antarctic", subregions such as "Central Europe" and "Southeast Europe",
+ * Mexico in "North America" rather than "Central America". subregion is null
+ * for the few territories without one. continent is one of CONTINENTS:
+ * "Americas" split into South America and North America (with Central America
+ * and the Caribbean), "Antarctic" renamed. The file is parsed once per process.
+ */
+
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { readFile } from 'fs/promises';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+export const COUNTRY_REFERENCE_PATH = path.join(__dirname, '..', 'data', 'country-reference.json');
+
+export const CONTINENTS = ['Africa', 'Antarctica', 'Asia', 'Europe', 'North America', 'Oceania', 'South America'];
+
+// Region groupings accepted by regionStats (lib/stats.js) and /api/stats/regions
+export const REGION_GROUPINGS = ['continent', 'subregion'];
+
+let referencePromise = null;
+
+/**
+ * Map of upper-case alpha-2 code -> country for every entry of the reference.
+ */
+export function loadCountryReference(file = COUNTRY_REFERENCE_PATH) {
+  if (!referencePromise) {
+    referencePromise = readFile(file, 'utf8').then(contents => {
+      return new Map(JSON.parse(contents).map(c => [c.alpha2, c]));
+    }).catch(err => {
+      referencePromise = null;
+      throw err;
+    });
+  }
+  return referencePromise;
+}
+
+/**
+ * The reference entry for an alpha-2 code (any case), or null.
+ */
+export function countryByCode(reference, code) {
+  if (!code) return null;
+  return reference.get(String(code).toUpperCase()) || null;
+}
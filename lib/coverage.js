@@ -0,0 +1,124 @@
+/**
+ * lib/coverage.js
+ *
+ * Coverage gap analysis: how far each land area is from the nearest active
+ * relay.
+ *
+ * The world is sampled on a regular grid (GRID_DEGREES). Only cells whose
+ * centre lies inside a country of data/world-countries.geojson are kept, as a
+ * stand-in for "populated" (there is no population data in the project), and
+ * Antarctica is left out. For each land cell we take the great-circle distance
+ * to the nearest active relay location; relays placed on a country centroid
+ * are ignored because their real location is unknown.
+ *
+ * The land mask is computed once per process; distances are cached per
+ * dataset object, so they are recomputed only after the DatasetStore swaps in
+ * a new dataset.
+ */
+
+import { haversineKm, relayPoint } from './geo.js';
+import { placedOnCentroid } from './ingest.js';
+import { countryContains, loadCountryBoundaries } from './boundaries.js';
+
+export const GRID_DEGREES = 2;
+// Gaps closer than this to a larger gap are reported as part of it
+const GAP_SEPARATION_KM = 1000;
+const EXCLUDED_COUNTRIES = ['AQ'];
+
+let landCellsPromise = null;
+let cache = null;
+
+/**
+ * Centres of the land grid cells: [{ lat, lon, countryCode, country }].
+ */
+export function landCells() {
+  if (!landCellsPromise) {
+    landCellsPromise = loadCountryBoundaries().then(boundaries => {
+      const countries = boundaries.filter(c => !EXCLUDED_COUNTRIES.includes(c.code));
+      const cells = [];
+      const half = GRID_DEGREES / 2;
+      for (let lat = -90 + half; lat < 90; lat += GRID_DEGREES) {
+        for (let lon = -180 + half; lon < 180; lon += GRID_DEGREES) {
+          const c = countries.find(c => countryContains(c, lat, lon));
+          if (c) cells.push({ lat, lon, countryCode: c.code, country: c.name });
+        }
+      }
+      return cells;
+    }).catch(err => {
+      landCellsPromise = null;
+      throw err;
+    });
+  }
+  return landCellsPromise;
+}
+
+// One entry per distinct active relay location
+function relayLocations(relays) {
+  const byPoint = new Map();
+  for (const r of relays) {
+    const point = relayPoint(r);
+    if (r.active !== true || !point || placedOnCentroid(r)) continue;
+    const key = point.join(',');
+    if (!byPoint.has(key)) byPoint.set(key, { point, city: r.city, countryCode: r.countryCode, relays: 0 });
+    byPoint.get(key).relays += 1;
+  }
+  return [...byPoint.values()];
+}
+
+/**
+ * Distance from every land cell to the nearest active relay for `dataset`
+ * (cached until a different dataset object is passed).
+ * Returns { generatedAt, gridDegrees, locations, maxDistanceKm, cells }
+ * where cells are { lat, lon, countryCode, country, distanceKm, nearest }.
+ */
+export async function computeCoverage(dataset) {
+  if (cache && cache.dataset === dataset) return cache.result;
+  const cells = await landCells();
+  const locations = relayLocations(dataset.relays);
+
+  let maxDistanceKm = 0;
+  const scored = cells.map(cell => {
+    let best = null;
+    let bestKm = Infinity;
+    for (const loc of locations) {
+      const km = haversineKm([cell.lat, cell.lon], loc.point);
+      if (km < bestKm) {
+        bestKm = km;
+        best = loc;
+      }
+    }
+    const distanceKm = best ? Math.round(bestKm) : null;
+    if (distanceKm != null) maxDistanceKm = Math.max(maxDistanceKm, distanceKm);
+    return {
+      ...cell,
+      distanceKm,
+      nearest: best ? { city: best.city, countryCode: best.countryCode, lat: best.point[0], lon: best.point[1] } : null
+    };
+  });
+
+  const result = {
+    generatedAt: dataset.generatedAt || null,
+    gridDegrees: GRID_DEGREES,
+    locations: locations.length,
+    maxDistanceKm,
+    cells: scored
+  };
+  cache = { dataset, result };
+  return result;
+}
+
+/**
+ * The `limit` largest gaps: the furthest cells, skipping any cell within
+ * GAP_SEPARATION_KM of a gap already reported so one remote region is not
+ * listed many times.
+ */
+export function largestGaps(coverage, limit = 10) {
+  const sorted = coverage.cells.filter(c => c.distanceKm != null).sort((a, b) => b.distanceKm - a.distanceKm);
+  const gaps = [];
+  for (const cell of sorted) {
+    if (gaps.length >= limit) break;
+    if (gaps.some(g => haversineKm([g.lat, g.lon], [cell.lat, cell.lon]) < GAP_SEPARATION_KM)) continue;
+    gaps.push(cell);
+  }
+  return gaps;
+}
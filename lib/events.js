@@ -0,0 +1,145 @@
+/**
+ * lib/events.js
+ *
+ * Server-Sent Events hub for /api/events.
+ *
+ * When the DatasetStore swaps in a new dataset, the hub diffs it against the
+ * previous one and publishes, in order:
+ *  - relay-added    full v2 relay
+ *  - relay-removed  { id }
+ *  - relay-status   { id, active }           (went online / offline)
+ *  - relay-updated  full v2 relay            (ownership, provider, IP, status message or coordinate change)
+ *  - changeset      { generatedAt, source, summary } closing the batch
+ *
+ * Every event carries an id of the form "<bootId>-<seq>". Recent events are
+ * kept in a ring buffer so a client reconnecting with Last-Event-ID (header or
+ * ?lastEventId=) gets exactly what it missed. When the id is from another
+ * server process or has already left the buffer, the client is sent a
+ * `resync` event and should refetch /api/relays.
+ */
+
+import { diffRelays } from './snapshots.js';
+
+const DEFAULT_BUFFER_SIZE = 2000;
+const HEARTBEAT_MS = 25000;
+const RETRY_MS = 5000;
+
+// Ids of relays present in both lists whose status message texts differ
+function statusMessagesChanged(prevRelays, nextRelays) {
+  const texts = r => (r.statusMessages || []).map(m => m.message).join('\n');
+  const before = new Map(prevRelays.map(r => [r.id, texts(r)]));
+  return nextRelays.filter(r => before.has(r.id) && before.get(r.id) !== texts(r)).map(r => r.id);
+}
+
+// Ids of relays present in both lists that moved or changed coordSource (e.g.
+// a coordinate override), which changes how the map draws them
+function coordinatesChanged(prevRelays, nextRelays) {
+  const placement = r => `${r.lat},${r.lon},${r.coordSource}`;
+  const before = new Map(prevRelays.map(r => [r.id, placement(r)]));
+  return nextRelays.filter(r => before.has(r.id) && before.get(r.id) !== placement(r)).map(r => r.id);
+}
+
+export class RelayEventHub {
+  constructor({ bufferSize = DEFAULT_BUFFER_SIZE, heartbeatMs = HEARTBEAT_MS } = {}) {
+    this.bootId = Date.now().toString(36);
+    this.seq = 0;
+    this.buffer = [];
+    this.bufferSize = bufferSize;
+    this.heartbeatMs = heartbeatMs;
+    this.clients = new Set();
+  }
+
+  /**
+   * Publish relay events whenever the store's dataset changes.
+   */
+  attach(store) {
+    store.on('change', ({ previous, current, source }) => {
+      this.publishDatasetChange(previous, current, source);
+    });
+  }
+
+  publishDatasetChange(previous, current, source) {
+    const diff = diffRelays(previous.relays, current.relays);
+    const messagesChanged = statusMessagesChanged(previous.relays, current.relays);
+    const moved = coordinatesChanged(previous.relays, current.relays);
+    if (diff.summary.total === 0 && messagesChanged.length === 0 && moved.length === 0) return;
+    const byId = new Map(current.relays.map(r => [r.id, r]));
+
+    for (const r of diff.added) this.publish('relay-added', byId.get(r.id));
+    for (const r of diff.removed) this.publish('relay-removed', { id: r.id });
+    for (const r of diff.activated) this.publish('relay-status', { id: r.id, active: true });
+    for (const r of diff.deactivated) this.publish('relay-status', { id: r.id, active: false });
+    const updated = new Set([
+      ...diff.ownershipChanged.map(c => c.id),
+      ...diff.providerChanged.map(c => c.id),
+      ...diff.ipChanged.map(c => c.id),
+      ...messagesChanged,
+      ...moved
+    ]);
+    for (const id of updated) this.publish('relay-updated', byId.get(id));
+
+    this.publish('changeset', { generatedAt: current.generatedAt || null, source, summary: diff.summary });
+  }
+
+  publish(type, data) {
+    this.seq += 1;
+    const event = { id: `${this.bootId}-${this.seq}`, seq: this.seq, type, data };
+    this.buffer.push(event);
+    if (this.buffer.length > this.bufferSize) this.buffer.shift();
+    for (const res of this.clients) writeEvent(res, event);
+    return event;
+  }
+
+  /**
+   * Events after `lastEventId`, or null when they cannot be replayed.
+   */
+  eventsSince(lastEventId) {
+    const m = /^([a-z0-9]+)-(\d+)$/.exec(String(lastEventId));
+    if (!m || m[1] !== this.bootId) return null;
+    const seq = Number(m[2]);
+    if (seq >= this.seq) return [];
+    const oldest = this.buffer.length ? this.buffer[0].seq : this.seq + 1;
+    if (seq + 1 < oldest) return null;
+    return this.buffer.filter(e => e.seq > seq);
+  }
+
+  /**
+   * Express handler for GET /api/events.
+   */
+  handler() {
+    return (req, res) => {
+      res.set({
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache, no-transform',
+        'Connection': 'keep-alive',
+        'X-Accel-Buffering': 'no'
+      });
+      res.flushHeaders();
+      res.write(`retry: ${RETRY_MS}\n\n`);
+
+      const lastEventId = req.get('Last-Event-ID') || req.query.lastEventId;
+      if (lastEventId) {
+        const missed = this.eventsSince(lastEventId);
+        if (missed) missed.forEach(e => writeEvent(res, e));
+        else writeEvent(res, { id: this.currentId(), type: 'resync', data: { reason: 'event history unavailable' } });
+      } else {
+        writeEvent(res, { id: this.currentId(), type: 'hello', data: { lastEventId: this.currentId() } });
+      }
+
+      this.clients.add(res);
+      const heartbeat = setInterval(() => res.write(': ping\n\n'), this.heartbeatMs);
+      req.on('close', () => {
+        clearInterval(heartbeat);
+        this.clients.delete(res);
+      });
+    };
+  }
+
+  currentId() {
+    return `${this.bootId}-${this.seq}`;
+  }
+}
+
+function writeEvent(res, event) {
+  res.write(`id: ${event.id}\nevent: ${event.type}\ndata: ${JSON.stringify(event.data)}\n\n`);
+}
@@ -0,0 +1,124 @@
+/**
+ * lib/export.js
+ *
+ * Serializers for downloading the relay list in formats other tools read
+ * directly: GeoJSON (QGIS), CSV (spreadsheets), KML (Google Earth) and NDJSON.
+ * Used by /api/relays.<ext> (or /api/relays?format=) and by
+ * `tools/fetch-relays.js --format`.
+ *
+ * Relays without coordinates (lat/lon null) are never dropped: they get a
+ * null geometry in GeoJSON, empty lat/lon cells in CSV, a Placemark without a
+ * Point in KML and null lat/lon in NDJSON.
+ */
+
+export const EXPORT_FORMATS = {
+  geojson: { extension: 'geojson', contentType: 'application/geo+json', serialize: toGeoJSON },
+  csv: { extension: 'csv', contentType: 'text/csv; charset=utf-8', serialize: toCSV },
+  kml: { extension: 'kml', contentType: 'application/vnd.google-earth.kml+xml', serialize: toKML },
+  ndjson: { extension: 'ndjson', contentType: 'application/x-ndjson', serialize: toNDJSON }
+};
+
+function hasCoordinates(r) {
+  return typeof r.lat === 'number' && typeof r.lon === 'number';
+}
+
+/**
+ * Suggested download name, e.g. mullvad-relays-20250101T120000Z.csv
+ */
+export function exportFilename(format, generatedAt) {
+  const t = Date.parse(generatedAt || '');
+  const stamp = Number.isNaN(t) ? '' : `-${new Date(t).toISOString().replace(/[-:]/g, '').replace(/\.\d+/, '')}`;
+  return `mullvad-relays${stamp}.${EXPORT_FORMATS[format].extension}`;
+}
+
+/**
+ * Serialize relays (already projected / field-selected) to `format`.
+ * `meta` is { generatedAt }.
+ */
+export function serializeRelays(format, relays, meta = {}) {
+  const def = EXPORT_FORMATS[format];
+  if (!def) throw new Error(`unknown export format "${format}"`);
+  return def.serialize(relays, meta);
+}
+
+function toGeoJSON(relays, { generatedAt = null } = {}) {
+  const features = relays.map(r => {
+    const { lat, lon, ...properties } = r;
+    return {
+      type: 'Feature',
+      id: r.id,
+      geometry: hasCoordinates(r) ? { type: 'Point', coordinates: [lon, lat] } : null,
+      properties
+    };
+  });
+  return JSON.stringify({ type: 'FeatureCollection', generatedAt, features });
+}
+
+function toNDJSON(relays) {
+  return relays.map(r => JSON.stringify(r)).join('\n') + (relays.length ? '\n' : '');
+}
+
+// Arrays of scalars become "a;b", anything else nested is written as JSON
+function csvValue(v) {
+  if (v == null) return '';
+  if (Array.isArray(v) && v.every(x => x == null || typeof x !== 'object')) return v.join(';');
+  if (typeof v === 'object') return JSON.stringify(v);
+  return String(v);
+}
+
+function csvCell(v) {
+  const s = csvValue(v);
+  return /[",\r\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+}
+
+function toCSV(relays) {
+  // column order follows the first relay; later relays may only add columns
+  const columns = [];
+  for (const r of relays) {
+    for (const k of Object.keys(r)) if (!columns.includes(k)) columns.push(k);
+  }
+  const lines = [columns.map(csvCell).join(',')];
+  for (const r of relays) lines.push(columns.map(c => csvCell(r[c])).join(','));
+  return lines.join('\r\n') + '\r\n';
+}
+
+export function xmlEscape(v) {
+  return String(v)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+}
+
+function kmlPlacemark(r) {
+  const place = [r.city, r.country].filter(Boolean).join(', ');
+  const data = Object.entries(r)
+    .filter(([k]) => k !== 'lat' && k !== 'lon')
+    .map(([k, v]) => `        <Data name="${xmlEscape(k)}"><value>${xmlEscape(csvValue(v))}</value></Data>`)
+    .join('\n');
+  const style = r.active === false ? '#inactive' : '#active';
+  const point = hasCoordinates(r) ? `\n      <Point><coordinates>${r.lon},${r.lat}</coordinates></Point>` : '';
+  return `    <Placemark${r.id != null ? ` id="${xmlEscape(r.id)}"` : ''}>
+      <name>${xmlEscape(r.id != null ? r.id : place)}</name>
+      <description>${xmlEscape(place)}</description>
+      <styleUrl>${style}</styleUrl>
+      <ExtendedData>
+${data}
+      </ExtendedData>${point}
+    </Placemark>`;
+}
+
+function toKML(relays, { generatedAt = null } = {}) {
+  const name = `Mullvad relays${generatedAt ? ` (${generatedAt})` : ''}`;
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<kml xmlns="http://www.opengis.net/kml/2.2">
+  <Document>
+    <name>${xmlEscape(name)}</name>
+    <Style id="active"><IconStyle><color>ff5ec522</color></IconStyle></Style>
+    <Style id="inactive"><IconStyle><color>ff4444ef</color></IconStyle></Style>
+${relays.map(kmlPlacemark).join('\n')}
+  </Document>
+</kml>
+`;
+}
@@ -0,0 +1,27 @@
+/**
+ * lib/fs-atomic.js
+ *
+ * Write files via a temp file in the same directory followed by rename(), so
+ * readers (the server, the file watcher) never observe a half-written file.
+ */
+
+import path from 'path';
+import { rename, unlink, writeFile } from 'fs/promises';
+
+let counter = 0;
+
+export async function writeFileAtomic(file, data, encoding = 'utf8') {
+  const dir = path.dirname(file);
+  const tmp = path.join(dir, `.${path.basename(file)}.${process.pid}.${Date.now()}.${counter++}.tmp`);
+  try {
+    await writeFile(tmp, data, encoding);
+    await rename(tmp, file);
+  } catch (err) {
+    try {
+      await unlink(tmp);
+    } catch {
+      // temp file was never created or already renamed
+    }
+    throw err;
+  }
+}
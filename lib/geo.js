@@ -0,0 +1,42 @@
+/**
+ * lib/geo.js
+ *
+ * Small spherical-earth helpers shared by the routing / proximity features.
+ * Points are [lat, lon] in degrees, like the frontend's Leaflet latlngs.
+ */
+
+export const EARTH_RADIUS_KM = 6371;
+
+const toRad = d => (d * Math.PI) / 180;
+
+/**
+ * Great-circle distance in km (haversine).
+ */
+export function haversineKm(a, b) {
+  const dLat = toRad(b[0] - a[0]);
+  const dLon = toRad(b[1] - a[1]);
+  const h = Math.sin(dLat / 2) ** 2 + Math.cos(toRad(a[0])) * Math.cos(toRad(b[0])) * Math.sin(dLon / 2) ** 2;
+  return 2 * EARTH_RADIUS_KM * Math.asin(Math.min(1, Math.sqrt(h)));
+}
+
+/**
+ * A relay's [lat, lon], or null when it has no usable coordinates
+ * (missing, or the 0,0 placeholder).
+ */
+export function relayPoint(r) {
+  if (typeof r.lat !== 'number' || typeof r.lon !== 'number') return null;
+  if (!Number.isFinite(r.lat) || !Number.isFinite(r.lon) || (r.lat === 0 && r.lon === 0)) return null;
+  return [r.lat, r.lon];
+}
+
+/**
+ * Parse "lat,lon" into [lat, lon]; null when malformed or out of range.
+ */
+export function parseLatLon(s) {
+  const m = /^\s*(-?\d+(?:\.\d+)?)\s*,\s*(-?\d+(?:\.\d+)?)\s*$/.exec(String(s));
+  if (!m) return null;
+  const lat = Number(m[1]);
+  const lon = Number(m[2]);
+  if (Math.abs(lat) > 90 || Math.abs(lon) > 180) return null;
+  return [lat, lon];
+}
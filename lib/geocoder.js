@@ -0,0 +1,508 @@
+/**
+ * lib/geocoder.js
+ *
+ * City geocoding shared by /api/geocode and tools/update-city-coords.js.
+ *
+ * A provider looks up one query string and returns raw candidates:
+ *
+ *   { name, async search(query, { countryCode }) ->
+ *       [{ lat, lon, countryCode, display_name, class, type, importance }] }
+ *
+ * Providers:
+ *  - nominatim  OpenStreetMap Nominatim (network). Every request goes through
+ *               one RateLimiter (GEOCODER_MIN_INTERVAL_MS, default 3000 ms;
+ *               the queue is bounded so a burst of API calls is refused
+ *               instead of queued for minutes). The next free slot is kept in
+ *               data/geocode-ratelimit.json, so the server and
+ *               tools/update-city-coords.js share the rate between them.
+ *  - gazetteer  offline lookup in GEOCODER_FILE: a GeoNames dump
+ *               (e.g. cities15000.txt, tab separated) or a JSON array of
+ *               { name, countryCode, lat, lon, population?, aliases? }
+ *  - fixture    static answers from GEOCODER_FILE, a JSON object keyed by
+ *               "city|CC" or "city" (lower case), for tests and offline work
+ *
+ * createGeocoder() adds what is common to all providers: candidate query
+ * strings ("Atlanta, GA" -> "Atlanta, GA", "Atlanta", ...), rejection of
+ * results outside the requested country, confidence scoring and a disk cache
+ * (data/geocode-cache.json) keyed by provider, city and country. Misses are
+ * cached too, for a shorter time.
+ *
+ * Cache lookups and provider calls are counted per process (geocoderCounts(),
+ * exposed by the server at /metrics), whichever caller made them.
+ */
+
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { open, readFile, stat, unlink } from 'fs/promises';
+import { writeFileAtomic } from './fs-atomic.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+export const GEOCODE_CACHE_PATH = path.join(__dirname, '..', 'data', 'geocode-cache.json');
+export const RATE_LIMIT_STATE_PATH = path.join(__dirname, '..', 'data', 'geocode-ratelimit.json');
+
+const NOMINATIM_URL = 'https://nominatim.openstreetmap.org/search';
+const USER_AGENT = 'mullvad-viz/1.0 (+https://github.com/your-org/mullvad-viz)';
+const DEFAULT_MIN_INTERVAL_MS = 3000;
+const DEFAULT_MAX_QUEUE = 5;
+// Lock file around the rate limit state: retry delay, and the age after which
+// a lock left behind by a crashed process is broken
+const LOCK_RETRY_MS = 50;
+const LOCK_STALE_MS = 10000;
+// Results per query to pick the best scoring one from
+const RESULTS_PER_QUERY = 5;
+const HIT_TTL_MS = 90 * 24 * 60 * 60 * 1000;
+const MISS_TTL_MS = 24 * 60 * 60 * 1000;
+// Nominatim place types that are a town or city in their own right
+const SETTLEMENT_TYPES = ['city', 'town', 'village', 'municipality', 'hamlet'];
+
+/**
+ * reason is one of upstream_status, invalid_response, rate_limited, exception
+ * (the /api/geocode error metric labels).
+ */
+export class GeocoderError extends Error {
+  constructor(message, reason, status = null) {
+    super(message);
+    this.name = 'GeocoderError';
+    this.reason = reason;
+    this.status = status;
+  }
+}
+
+// Cache lookups by result (hit, miss) and provider calls by "provider\noutcome",
+// outcome being ok or a GeocoderError reason
+const cacheLookups = new Map();
+const upstreamCalls = new Map();
+
+function count(map, key) {
+  map.set(key, (map.get(key) || 0) + 1);
+}
+
+/**
+ * Geocoder activity in this process so far: { cache: [{ result, value }],
+ * upstream: [{ provider, outcome, value }] }. A rate limiter rejection is an
+ * upstream call with outcome rate_limited.
+ */
+export function geocoderCounts() {
+  return {
+    cache: [...cacheLookups].map(([result, value]) => ({ result, value })),
+    upstream: [...upstreamCalls].map(([key, value]) => {
+      const [provider, outcome] = key.split('\n');
+      return { provider, outcome, value };
+    })
+  };
+}
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+// Run fn while holding `lockPath` (created exclusively, removed afterwards)
+async function withFileLock(lockPath, fn) {
+  for (;;) {
+    try {
+      await (await open(lockPath, 'wx')).close();
+      break;
+    } catch (err) {
+      if (err.code !== 'EEXIST') throw err;
+      const info = await stat(lockPath).catch(() => null);
+      if (info && Date.now() - info.mtimeMs > LOCK_STALE_MS) await unlink(lockPath).catch(() => {});
+      else await sleep(LOCK_RETRY_MS);
+    }
+  }
+  try {
+    return await fn();
+  } finally {
+    await unlink(lockPath).catch(() => {});
+  }
+}
+
+/**
+ * Spaces calls at least `intervalMs` apart. At most `maxQueue` calls may wait;
+ * further calls fail with GeocoderError('rate_limited'). With `stateFile` the
+ * spacing holds across every process using that file: each call reserves its
+ * slot there under a lock file. If the file cannot be used the limiter falls
+ * back to spacing this process's calls only.
+ */
+export class RateLimiter {
+  constructor({ intervalMs = DEFAULT_MIN_INTERVAL_MS, maxQueue = DEFAULT_MAX_QUEUE, stateFile = null } = {}) {
+    this.intervalMs = intervalMs;
+    this.maxQueue = maxQueue;
+    this.stateFile = stateFile;
+    this.waiting = 0;
+    this.nextAt = 0;
+  }
+
+  // The first slot at or after `at` that no process has taken yet
+  reserve(at) {
+    return withFileLock(`${this.stateFile}.lock`, async () => {
+      let taken = 0;
+      try {
+        taken = Number(JSON.parse(await readFile(this.stateFile, 'utf8')).nextAt) || 0;
+      } catch {
+        // no state yet
+      }
+      const slot = Math.max(at, taken);
+      await writeFileAtomic(this.stateFile, JSON.stringify({ nextAt: slot + this.intervalMs }));
+      return slot;
+    });
+  }
+
+  async schedule(fn) {
+    if (this.waiting >= this.maxQueue) throw new GeocoderError('too many geocode requests queued', 'rate_limited');
+    let at = Math.max(Date.now(), this.nextAt);
+    this.nextAt = at + this.intervalMs;
+    this.waiting += 1;
+    try {
+      if (this.stateFile) {
+        at = await this.reserve(at).catch(err => {
+          console.error('Failed to share the geocoder rate limit:', err.message || err);
+          return at;
+        });
+      }
+      await sleep(at - Date.now());
+    } finally {
+      this.waiting -= 1;
+    }
+    return fn();
+  }
+}
+
+let sharedLimiter = null;
+
+/**
+ * The limiter for network geocoders, one per process and coordinated with
+ * other processes through RATE_LIMIT_STATE_PATH.
+ */
+export function sharedRateLimiter(env = process.env) {
+  if (!sharedLimiter) {
+    const interval = Number.parseInt(env.GEOCODER_MIN_INTERVAL_MS, 10);
+    sharedLimiter = new RateLimiter({
+      intervalMs: Number.isFinite(interval) && interval >= 1000 ? interval : DEFAULT_MIN_INTERVAL_MS,
+      stateFile: RATE_LIMIT_STATE_PATH
+    });
+  }
+  return sharedLimiter;
+}
+
+/**
+ * Nominatim provider. One retry after a network error or 5xx.
+ */
+export function nominatimProvider({ limiter = sharedRateLimiter(), baseUrl = NOMINATIM_URL, userAgent = USER_AGENT } = {}) {
+  async function request(query, countryCode) {
+    // 'city=' for a bare name, free text for "City, ST"
+    const params = new URLSearchParams({
+      [query.includes(',') ? 'q' : 'city']: query,
+      format: 'json',
+      addressdetails: '1',
+      limit: String(RESULTS_PER_QUERY)
+    });
+    if (countryCode) params.set('countrycodes', countryCode.toLowerCase());
+    let res;
+    try {
+      res = await limiter.schedule(() => fetch(`${baseUrl}?${params}`, {
+        headers: { 'User-Agent': userAgent, 'Accept': 'application/json' }
+      }));
+    } catch (err) {
+      if (err instanceof GeocoderError) throw err;
+      throw new GeocoderError(`Nominatim request failed: ${err && err.message ? err.message : err}`, 'exception');
+    }
+    if (!res.ok) throw new GeocoderError(`Nominatim HTTP ${res.status}`, 'upstream_status', res.status);
+    let json;
+    try {
+      json = await res.json();
+    } catch {
+      throw new GeocoderError('Nominatim returned invalid JSON', 'invalid_response');
+    }
+    if (!Array.isArray(json)) throw new GeocoderError('Nominatim returned an unexpected response', 'invalid_response');
+    return json.map(entry => ({
+      lat: parseFloat(entry.lat),
+      lon: parseFloat(entry.lon),
+      countryCode: entry.address && entry.address.country_code ? entry.address.country_code.toUpperCase() : null,
+      display_name: entry.display_name || null,
+      class: entry.class || entry.category || null,
+      type: entry.type || null,
+      importance: Number.isFinite(Number(entry.importance)) ? Number(entry.importance) : null
+    }));
+  }
+
+  return {
+    name: 'nominatim',
+    async search(query, { countryCode = null } = {}) {
+      try {
+        return await request(query, countryCode);
+      } catch (err) {
+        const transient = err.reason === 'exception' || (err.reason === 'upstream_status' && err.status >= 500);
+        if (!transient) throw err;
+        return request(query, countryCode);
+      }
+    }
+  };
+}
+
+// GeoNames dump: geonameid, name, asciiname, alternatenames, lat, lon,
+// feature class, feature code, country code, ..., population (column 15)
+function parseGeoNames(contents) {
+  const places = [];
+  for (const line of contents.split('\n')) {
+    const cols = line.split('\t');
+    if (cols.length < 15 || cols[6] !== 'P') continue;
+    places.push({
+      name: cols[1],
+      aliases: [cols[2], ...cols[3].split(',')].filter(Boolean),
+      lat: Number(cols[4]),
+      lon: Number(cols[5]),
+      countryCode: cols[8].toUpperCase(),
+      population: Number(cols[14]) || 0
+    });
+  }
+  return places;
+}
+
+/**
+ * Offline gazetteer provider. Matches the city part of the query (before the
+ * first comma) against names and aliases, case-insensitively; the most
+ * populous places come first.
+ */
+export function gazetteerProvider(file) {
+  let placesPromise = null;
+  const load = () => {
+    if (!placesPromise) {
+      placesPromise = readFile(file, 'utf8').then(contents => {
+        const places = file.endsWith('.json') ? JSON.parse(contents) : parseGeoNames(contents);
+        const byName = new Map();
+        for (const p of places) {
+          for (const n of new Set([p.name, ...(p.aliases || [])].map(n => String(n).toLowerCase()))) {
+            if (!byName.has(n)) byName.set(n, []);
+            byName.get(n).push(p);
+          }
+        }
+        return byName;
+      }).catch(err => {
+        placesPromise = null;
+        throw new GeocoderError(`cannot read gazetteer ${file}: ${err.message}`, 'exception');
+      });
+    }
+    return placesPromise;
+  };
+
+  return {
+    name: 'gazetteer',
+    async search(query, { countryCode = null } = {}) {
+      const byName = await load();
+      const name = query.split(',')[0].trim().toLowerCase();
+      return (byName.get(name) || [])
+        .filter(p => !countryCode || p.countryCode === countryCode.toUpperCase())
+        .sort((a, b) => (b.population || 0) - (a.population || 0))
+        .slice(0, RESULTS_PER_QUERY)
+        .map(p => ({
+          lat: Number(p.lat),
+          lon: Number(p.lon),
+          countryCode: p.countryCode ? String(p.countryCode).toUpperCase() : null,
+          display_name: [p.name, p.countryCode].filter(Boolean).join(', '),
+          class: 'place',
+          type: 'city',
+          importance: null
+        }));
+    }
+  };
+}
+
+/**
+ * Static provider: `entries` (or the JSON file it names) maps "city|CC" or
+ * "city" to { lat, lon, countryCode?, display_name? }.
+ */
+export function fixtureProvider(entries) {
+  let fixtures = typeof entries === 'string' ? null : Promise.resolve(entries);
+  const load = () => (fixtures = fixtures || readFile(entries, 'utf8').then(JSON.parse));
+  return {
+    name: 'fixture',
+    async search(query, { countryCode = null } = {}) {
+      const fixtures = await load();
+      const name = query.trim().toLowerCase();
+      const hit = (countryCode && fixtures[`${name}|${countryCode.toLowerCase()}`]) || fixtures[name];
+      if (!hit) return [];
+      return [{
+        lat: Number(hit.lat),
+        lon: Number(hit.lon),
+        countryCode: hit.countryCode ? String(hit.countryCode).toUpperCase() : (countryCode ? countryCode.toUpperCase() : null),
+        display_name: hit.display_name || query,
+        class: 'place',
+        type: 'city',
+        importance: null
+      }];
+    }
+  };
+}
+
+/**
+ * Candidate query strings for a raw city string, most specific first.
+ * Examples:
+ *  - "San Jose, CA" -> ["San Jose, CA", "San Jose", "San Jose, United States"]
+ *  - "Boston"       -> ["Boston"]
+ */
+export function buildCandidates(rawCity) {
+  const s = (rawCity || '').toString().trim();
+  if (!s) return [];
+  const candidates = [s];
+  const parts = s.split(',').map(p => p.trim()).filter(Boolean);
+  if (parts.length > 1) {
+    candidates.push(parts[0]);
+    // "City, ST": a US state
+    if (/^[A-Za-z]{2}$/.test(parts[1])) candidates.push(`${parts[0]}, United States`);
+    else candidates.push(`${parts[0]}, ${parts[1]}`);
+  }
+  const seen = new Set();
+  return candidates.filter(c => !seen.has(c.toLowerCase()) && seen.add(c.toLowerCase()));
+}
+
+/**
+ * Confidence (0..1) of one candidate result: starts at 1 and is lowered when
+ * the result is not a settlement or administrative area (e.g. a shopping
+ * centre), came from a fallback query, or has a low importance.
+ */
+export function scoreResult(result, fallback) {
+  const settlement = (result.class === 'place' && SETTLEMENT_TYPES.includes(result.type)) ||
+    (result.class === 'boundary' && result.type === 'administrative');
+  let confidence = 1;
+  if (!settlement) confidence *= 0.5;
+  if (fallback) confidence *= 0.85;
+  if (result.importance != null && result.importance < 0.3) confidence *= 0.8;
+  return Math.round(confidence * 100) / 100;
+}
+
+/**
+ * JSON file cache shared by every process using the same path. A lookup that
+ * misses re-reads the file when it changed since it was last read, so answers
+ * cached by another process (the server and the updater tool) are picked up.
+ * Each write re-reads the file and merges, the file winning for every key
+ * but the one being set.
+ */
+export class GeocodeCache {
+  constructor(file = GEOCODE_CACHE_PATH) {
+    this.file = file;
+    this.entries = null;
+    this.mtimeMs = null;
+    this.writing = Promise.resolve();
+  }
+
+  async read() {
+    try {
+      const parsed = JSON.parse(await readFile(this.file, 'utf8'));
+      return parsed && typeof parsed === 'object' ? parsed : {};
+    } catch {
+      return {};
+    }
+  }
+
+  async modifiedAt() {
+    const info = await stat(this.file).catch(() => null);
+    return info ? info.mtimeMs : null;
+  }
+
+  async reload() {
+    this.mtimeMs = await this.modifiedAt();
+    this.entries = await this.read();
+  }
+
+  fresh(key, now) {
+    const entry = this.entries[key];
+    if (!entry) return false;
+    const ttl = entry.result ? HIT_TTL_MS : MISS_TTL_MS;
+    return now - Date.parse(entry.cachedAt) < ttl;
+  }
+
+  async get(key, now = Date.now()) {
+    if (!this.entries) await this.reload();
+    else if (!this.fresh(key, now) && await this.modifiedAt() !== this.mtimeMs) await this.reload();
+    const hit = this.fresh(key, now);
+    count(cacheLookups, hit ? 'hit' : 'miss');
+    return hit ? this.entries[key].result : undefined;
+  }
+
+  set(key, result, now = Date.now()) {
+    const entry = { cachedAt: new Date(now).toISOString(), result };
+    if (this.entries) this.entries[key] = entry;
+    this.writing = this.writing.then(async () => {
+      const onDisk = await this.read();
+      onDisk[key] = entry;
+      await writeFileAtomic(this.file, JSON.stringify(onDisk, null, 2));
+      this.entries = onDisk;
+      this.mtimeMs = await this.modifiedAt();
+    }).catch(err => console.error('Failed to write geocode cache:', err.message || err));
+    return this.writing;
+  }
+}
+
+/**
+ * Geocoder over `provider`. geocode(city, { countryCode }) resolves to
+ * { lat, lon, countryCode, display_name, query, confidence, source, cached }
+ * or null when nothing was found; provider failures throw GeocoderError.
+ * `log(line)` receives a line per rejected result.
+ */
+export function createGeocoder({ provider, cache = new GeocodeCache(), log = () => {} }) {
+  async function search(query, countryCode) {
+    try {
+      const results = await provider.search(query, { countryCode });
+      count(upstreamCalls, `${provider.name}\nok`);
+      return results;
+    } catch (err) {
+      count(upstreamCalls, `${provider.name}\n${err instanceof GeocoderError ? err.reason : 'exception'}`);
+      throw err;
+    }
+  }
+
+  return {
+    provider: provider.name,
+    async geocode(city, { countryCode = null } = {}) {
+      const code = countryCode ? countryCode.toUpperCase() : null;
+      const key = `${provider.name}:${city.trim().toLowerCase()}|${code || ''}`;
+      const cached = cache ? await cache.get(key) : undefined;
+      if (cached !== undefined) return cached && { ...cached, cached: true };
+
+      let best = null;
+      for (const [i, query] of buildCandidates(city).entries()) {
+        for (const result of await search(query, code)) {
+          if (!Number.isFinite(result.lat) || !Number.isFinite(result.lon)) continue;
+          if (code && result.countryCode !== code) {
+            log(`rejected "${result.display_name}" for "${query}": in ${result.countryCode || 'unknown country'}, expected ${code}`);
+            continue;
+          }
+          const confidence = scoreResult(result, i > 0);
+          if (!best || confidence > best.confidence) {
+            best = {
+              lat: result.lat,
+              lon: result.lon,
+              countryCode: result.countryCode,
+              display_name: result.display_name,
+              query,
+              confidence,
+              source: provider.name
+            };
+          }
+        }
+        if (best) break;
+      }
+      if (cache) await cache.set(key, best);
+      return best && { ...best, cached: false };
+    }
+  };
+}
+
+/**
+ * Geocoder configured from the environment: GEOCODER (nominatim, gazetteer or
+ * fixture; default nominatim) and GEOCODER_FILE for the file based providers.
+ */
+export function geocoderFromEnv(env = process.env, options = {}) {
+  const name = (env.GEOCODER || 'nominatim').toLowerCase();
+  let provider;
+  if (name === 'nominatim') provider = nominatimProvider();
+  else if (name === 'gazetteer' || name === 'fixture') {
+    if (!env.GEOCODER_FILE) throw new Error(`GEOCODER=${name} needs GEOCODER_FILE`);
+    provider = name === 'gazetteer' ? gazetteerProvider(env.GEOCODER_FILE) : fixtureProvider(env.GEOCODER_FILE);
+  } else {
+    throw new Error(`unknown GEOCODER "${env.GEOCODER}"; expected nominatim, gazetteer or fixture`);
+  }
+  return createGeocoder({ provider, ...options });
+}
@@ -0,0 +1,145 @@
+/**
+ * lib/history.js
+ *
+ * Per-relay availability derived from the snapshot history (lib/snapshots.js).
+ *
+ * Every snapshot is one sample of each relay's `active` flag. From the samples
+ * we compute availability %, first/last seen, the longest outage and the number
+ * of state flips (online <-> offline) used to spot flapping relays.
+ *
+ * The timeline is rebuilt only when the snapshot index changes, so repeated
+ * API calls do not re-read every snapshot file.
+ */
+
+import { listSnapshots, readSnapshot, SNAPSHOTS_DIR } from './snapshots.js';
+
+// A relay is flagged as flapping when it flipped state at least this many
+// times, and in at least this share of its consecutive samples.
+export const FLAP_MIN_FLIPS = 3;
+export const FLAP_MIN_RATE = 0.2;
+
+let cache = null;
+
+/**
+ * Load (or reuse) the availability timeline:
+ * { key, times: [iso...], relays: Map<id, (1|0|null)[]> }
+ * where null means the relay was absent from that snapshot.
+ */
+export async function loadTimeline(dir = SNAPSHOTS_DIR) {
+  const index = await listSnapshots(dir);
+  const key = `${dir}|${index.map(e => e.id).join(',')}`;
+  if (cache && cache.key === key) return cache;
+
+  const times = index.map(e => e.takenAt);
+  const relays = new Map();
+  for (let i = 0; i < index.length; i++) {
+    let dataset;
+    try {
+      dataset = await readSnapshot(index[i].id, dir);
+    } catch {
+      // snapshot file missing or unreadable: leave the column empty
+      continue;
+    }
+    for (const r of dataset.relays) {
+      let row = relays.get(r.id);
+      if (!row) {
+        row = new Array(index.length).fill(null);
+        relays.set(r.id, row);
+      }
+      row[i] = r.active ? 1 : 0;
+    }
+  }
+
+  cache = { key, times, relays };
+  return cache;
+}
+
+/**
+ * Availability statistics for one relay row of the timeline.
+ */
+export function computeAvailability(row, times) {
+  let present = 0;
+  let up = 0;
+  let flips = 0;
+  let transitions = 0;
+  let firstSeen = null;
+  let lastSeen = null;
+  let prev = null;
+  let outageStart = null;
+  let longestOutage = null;
+
+  const closeOutage = (endIndex, ongoing) => {
+    const start = times[outageStart];
+    const end = times[endIndex];
+    const durationMs = Date.parse(end) - Date.parse(start);
+    if (!longestOutage || durationMs > longestOutage.durationMs) {
+      longestOutage = { start, end: ongoing ? null : end, durationMs, ongoing };
+    }
+    outageStart = null;
+  };
+
+  for (let i = 0; i < row.length; i++) {
+    const v = row[i];
+    if (v == null) continue;
+    present += 1;
+    up += v;
+    if (firstSeen == null) firstSeen = times[i];
+    lastSeen = times[i];
+    if (prev != null) {
+      transitions += 1;
+      if (v !== prev) flips += 1;
+    }
+    if (v === 0 && outageStart == null) outageStart = i;
+    if (v === 1 && outageStart != null) closeOutage(i, false);
+    prev = v;
+  }
+  if (outageStart != null) {
+    // still offline at the last sample: measure up to the last time it was seen
+    let last = row.length - 1;
+    while (last > 0 && row[last] == null) last -= 1;
+    closeOutage(last, true);
+  }
+
+  const flapRate = transitions ? flips / transitions : 0;
+  return {
+    samples: present,
+    availability: present ? Math.round((up / present) * 10000) / 100 : null,
+    firstSeen,
+    lastSeen,
+    flips,
+    flapping: flips >= FLAP_MIN_FLIPS && flapRate >= FLAP_MIN_RATE,
+    longestOutage
+  };
+}
+
+/**
+ * Full history for one relay, or null if it never appeared in a snapshot.
+ * `series` is [{ t, active }] with active null when the relay was absent.
+ */
+export async function relayHistory(id, dir = SNAPSHOTS_DIR) {
+  const { times, relays } = await loadTimeline(dir);
+  const row = relays.get(id);
+  if (!row) return null;
+  return {
+    id,
+    ...computeAvailability(row, times),
+    series: row.map((v, i) => ({ t: times[i], active: v == null ? null : v === 1 }))
+  };
+}
+
+/**
+ * Relays ranked least reliable first: lowest availability, then most flips.
+ * Relays seen in fewer than `minSamples` snapshots are skipped.
+ */
+export async function leastReliable({ limit = 20, minSamples = 2, dir = SNAPSHOTS_DIR } = {}) {
+  const { times, relays } = await loadTimeline(dir);
+  const ranked = [];
+  for (const [id, row] of relays) {
+    const stats = computeAvailability(row, times);
+    if (stats.samples < minSamples) continue;
+    if (stats.availability === 100 && stats.flips === 0) continue;
+    ranked.push({ id, ...stats });
+  }
+  ranked.sort((a, b) => (a.availability - b.availability) || (b.flips - a.flips) || a.id.localeCompare(b.id));
+  return { snapshots: times.length, relays: ranked.slice(0, limit) };
+}
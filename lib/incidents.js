@@ -0,0 +1,178 @@
+/**
+ * lib/incidents.js
+ *
+ * Incident feed built from the relays' status messages (the API's
+ * `status_messages`, kept on v2 records as `statusMessages`).
+ *
+ *  - stampStatusMessages() runs during ingest and gives every message a
+ *    `firstSeenAt`: carried over from the previous dataset when the same relay
+ *    already had the same message, otherwise the ingest time. The API's own
+ *    `timestamp` is kept as is.
+ *  - buildIncidents() groups messages into incidents, one per message text and
+ *    city (Mullvad usually posts one message on every relay it concerns), for
+ *    /api/incidents and the #/incidents view.
+ *  - incidentFeed() renders incidents as Atom or RSS 2.0 for
+ *    /api/incidents.atom and /api/incidents.rss.
+ */
+
+import { createHash } from 'crypto';
+import { xmlEscape } from './export.js';
+
+export const DEFAULT_INCIDENT_LIMIT = 100;
+
+export const FEED_FORMATS = {
+  atom: { contentType: 'application/atom+xml; charset=utf-8' },
+  rss: { contentType: 'application/rss+xml; charset=utf-8' }
+};
+
+/**
+ * Set `firstSeenAt` on the status messages of `relays` (mutated in place).
+ * Messages the previous dataset already had keep its firstSeenAt; a message
+ * that predates this field falls back to the previous dataset's generatedAt,
+ * the earliest time it is known to have been present.
+ */
+export function stampStatusMessages(previous, relays, seenAt) {
+  const known = new Map();
+  for (const r of previous ? previous.relays : []) {
+    for (const m of r.statusMessages || []) {
+      known.set(`${r.id}\n${m.message}`, m.firstSeenAt || previous.generatedAt || null);
+    }
+  }
+  for (const r of relays) {
+    for (const m of r.statusMessages || []) {
+      const key = `${r.id}\n${m.message}`;
+      m.firstSeenAt = known.has(key) && known.get(key) ? known.get(key) : seenAt;
+    }
+  }
+  return relays;
+}
+
+// Stable id for a message at a location, used for links and feed entry ids
+function incidentId(message, countryCode, city) {
+  return createHash('sha1').update(`${message}\n${countryCode}\n${city}`).digest('hex').slice(0, 12);
+}
+
+// When the incident is considered to have happened, for ordering
+export function incidentTime(incident) {
+  return incident.firstSeenAt || incident.timestamp || null;
+}
+
+function earliest(a, b) {
+  if (!a) return b;
+  if (!b) return a;
+  return Date.parse(a) <= Date.parse(b) ? a : b;
+}
+
+/**
+ * Incidents for `relays`, newest first:
+ * [{ id, message, timestamp, firstSeenAt, countryCode, country, city,
+ *    relays: [{ id, type, active }], offline }]
+ * where `offline` counts the affected relays that are not active.
+ */
+export function buildIncidents(relays) {
+  const byKey = new Map();
+  for (const r of relays) {
+    for (const m of r.statusMessages || []) {
+      const id = incidentId(m.message, r.countryCode, r.city);
+      let incident = byKey.get(id);
+      if (!incident) {
+        incident = {
+          id,
+          message: m.message,
+          timestamp: m.timestamp || null,
+          firstSeenAt: m.firstSeenAt || null,
+          countryCode: r.countryCode,
+          country: r.country,
+          city: r.city,
+          relays: [],
+          offline: 0
+        };
+        byKey.set(id, incident);
+      }
+      incident.timestamp = earliest(incident.timestamp, m.timestamp || null);
+      incident.firstSeenAt = earliest(incident.firstSeenAt, m.firstSeenAt || null);
+      incident.relays.push({ id: r.id, type: r.type, active: r.active === true });
+      if (r.active !== true) incident.offline += 1;
+    }
+  }
+  const incidents = [...byKey.values()];
+  for (const incident of incidents) incident.relays.sort((a, b) => a.id.localeCompare(b.id));
+  return incidents.sort((a, b) =>
+    ((Date.parse(incidentTime(b)) || 0) - (Date.parse(incidentTime(a)) || 0)) ||
+    a.countryCode.localeCompare(b.countryCode) ||
+    a.city.localeCompare(b.city) ||
+    a.message.localeCompare(b.message));
+}
+
+function incidentTitle(incident) {
+  const text = incident.message.length > 80 ? `${incident.message.slice(0, 77)}...` : incident.message;
+  return `${incident.city}, ${incident.country}: ${text}`;
+}
+
+function incidentSummary(incident) {
+  const ids = incident.relays.map(r => r.id).join(', ');
+  const offline = incident.offline ? ` (${incident.offline} offline)` : '';
+  return `${incident.message}\n\nAffected relays${offline}: ${ids}`;
+}
+
+function toAtom(incidents, { baseUrl, generatedAt }) {
+  const updated = generatedAt || new Date().toISOString();
+  const entries = incidents.map(i => `  <entry>
+    <id>urn:mullvad-viz:incident:${i.id}</id>
+    <title>${xmlEscape(incidentTitle(i))}</title>
+    <link href="${xmlEscape(`${baseUrl}/#/incidents?id=${i.id}`)}"/>
+    <updated>${xmlEscape(incidentTime(i) || updated)}</updated>
+    <category term="${xmlEscape(i.countryCode)}" label="${xmlEscape(i.country)}"/>
+    <summary>${xmlEscape(incidentSummary(i))}</summary>
+  </entry>`).join('\n');
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<feed xmlns="http://www.w3.org/2005/Atom">
+  <id>urn:mullvad-viz:incidents</id>
+  <title>Mullvad relay incidents</title>
+  <link rel="self" href="${xmlEscape(`${baseUrl}/api/incidents.atom`)}"/>
+  <link href="${xmlEscape(`${baseUrl}/#/incidents`)}"/>
+  <updated>${xmlEscape(updated)}</updated>
+  <author><name>mullvad-viz</name></author>
+${entries}
+</feed>
+`;
+}
+
+function rfc822(iso) {
+  const t = Date.parse(iso);
+  return Number.isNaN(t) ? null : new Date(t).toUTCString();
+}
+
+function toRSS(incidents, { baseUrl, generatedAt }) {
+  const items = incidents.map(i => {
+    const date = rfc822(incidentTime(i));
+    return `    <item>
+      <guid isPermaLink="false">urn:mullvad-viz:incident:${i.id}</guid>
+      <title>${xmlEscape(incidentTitle(i))}</title>
+      <link>${xmlEscape(`${baseUrl}/#/incidents?id=${i.id}`)}</link>
+      <category>${xmlEscape(i.country)}</category>
+      <description>${xmlEscape(incidentSummary(i))}</description>${date ? `\n      <pubDate>${date}</pubDate>` : ''}
+    </item>`;
+  }).join('\n');
+  const built = rfc822(generatedAt);
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<rss version="2.0">
+  <channel>
+    <title>Mullvad relay incidents</title>
+    <link>${xmlEscape(`${baseUrl}/#/incidents`)}</link>
+    <description>Status messages posted on Mullvad relays</description>${built ? `\n    <lastBuildDate>${built}</lastBuildDate>` : ''}
+${items}
+  </channel>
+</rss>
+`;
+}
+
+/**
+ * Serialize incidents as a feed. `baseUrl` is the public origin of the app
+ * (links point into the #/incidents view).
+ */
+export function incidentFeed(format, incidents, { baseUrl = '', generatedAt = null } = {}) {
+  if (format === 'atom') return toAtom(incidents, { baseUrl, generatedAt });
+  if (format === 'rss') return toRSS(incidents, { baseUrl, generatedAt });
+  throw new Error(`unknown feed format: ${format}`);
+}
@@ -0,0 +1,557 @@
+/**
+ * lib/ingest.js
+ *
+ * Relay ingestion, shared by tools/fetch-relays.js (CLI) and the server's
+ * scheduled refresh (lib/scheduler.js).
+ * - Fetches the public, unauthenticated Mullvad relays API:
+ *     https://api.mullvad.net/www/relays/all/
+ *   optionally as a conditional request (ETag / If-Modified-Since).
+ * - Normalizes the API response into the project's canonical relay schema (v2,
+ *   see lib/schema.js), keeping provider, addresses, keys and bridge details.
+ * - Resolves coordinates using the overrides in data/coordinate-overrides.json
+ *   (see lib/coordinate-overrides.js), then data/city-coordinates.json, then
+ *   the country centroid from the bundled country reference (lib/countries.js).
+ * - Names countries the API leaves unnamed from the country reference.
+ * - Writes sanitized output to tools/data/relays.json and data/relays.json using
+ *   temp-file-plus-rename so a half-written file is never served.
+ * - Saves a timestamped snapshot plus a diff against the previous one under
+ *   data/snapshots/ (see lib/snapshots.js for retention).
+ *
+ * Notes:
+ * - It attempts to be robust against missing supplemental data files.
+ */
+
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { mkdir, readFile } from 'fs/promises';
+import { buildDataset, COORD_SOURCES, normalizeRelayType, protocolsForType, readDataset, toV2Relay } from './schema.js';
+import { diffRelays, readLatestSnapshot, saveSnapshot } from './snapshots.js';
+import { writeFileAtomic } from './fs-atomic.js';
+import { runAlerts } from './alerts.js';
+import { stampStatusMessages } from './incidents.js';
+import { overrideKey, readCoordinateOverrides } from './coordinate-overrides.js';
+import { countryByCode, loadCountryReference } from './countries.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+// tools/data holds a secondary copy of the outputs; data/ is what the server serves
+const DATA_DIR = path.join(__dirname, '..', 'tools', 'data');
+const ROOT_DATA_DIR = path.join(__dirname, '..', 'data');
+const RELAYS_PATH = path.join(DATA_DIR, 'relays.json');
+export const ROOT_RELAYS_PATH = path.join(ROOT_DATA_DIR, 'relays.json');
+const CITY_COORDS_PATH = path.join(DATA_DIR, 'city-coordinates.json');
+
+// Paths to persist the raw Mullvad API payload so we have a full local cache
+const RAW_API_PATH = path.join(DATA_DIR, 'mullvad_api_raw.json');
+export const ROOT_RAW_API_PATH = path.join(ROOT_DATA_DIR, 'mullvad_api_raw.json');
+
+export const API_URL = 'https://api.mullvad.net/www/relays/all/';
+
+// Debug flag
+const DEBUG_INGEST = !!(process.env.INGEST_DEBUG || process.env.DEBUG);
+function dbg(...args) {
+  if (DEBUG_INGEST) console.log('[ingest-debug]', ...args);
+}
+
+// friendly fallback map for common city codes used historically in the project
+const cityCodeToCityName = {
+  sea: 'Seattle',
+  lax: 'Los Angeles',
+  tor: 'Toronto',
+  van: 'Vancouver',
+  sfo: 'San Francisco',
+  tia: 'Tirana',
+  dal: 'Dallas',
+  chi: 'Chicago',
+  nyc: 'New York',
+  adl: 'Adelaide',
+  mel: 'Melbourne',
+  per: 'Perth',
+  syd: 'Sydney',
+  yyc: 'Calgary',
+  mtr: 'Montreal',
+  par: 'Paris',
+  bru: 'Brussels',
+  vie: 'Vienna',
+  sof: 'Sofia',
+  hel: 'Helsinki',
+  cph: 'Copenhagen',
+  lon: 'London',
+  bos: 'Boston',
+  was: 'Washington DC',
+  den: 'Denver',
+  atl: 'Atlanta',
+  phx: 'Phoenix',
+  scl: 'Santiago'
+};
+
+let cityCoordsFromFile = {};
+let coordinateOverrides = {};
+let countryReference = new Map();
+
+async function loadCityCoords() {
+  // prefer tools/data, fall back to project data/
+  try {
+    const contents = await readFile(CITY_COORDS_PATH, 'utf8');
+    cityCoordsFromFile = JSON.parse(contents);
+    dbg('Loaded city coords from', CITY_COORDS_PATH);
+  } catch {
+    try {
+      const fallback = path.join(ROOT_DATA_DIR, 'city-coordinates.json');
+      const contents = await readFile(fallback, 'utf8');
+      cityCoordsFromFile = JSON.parse(contents);
+      dbg('Loaded city coords from', fallback);
+    } catch {
+      cityCoordsFromFile = {};
+      dbg('No city coords file found; continuing with empty map');
+    }
+  }
+}
+
+/**
+ * The city coordinates map used for resolving relays (tools/data first, then
+ * data/), or {} when neither file exists. Reads the file on every call.
+ */
+export async function readCityCoordinates() {
+  await loadCityCoords();
+  return cityCoordsFromFile;
+}
+
+// Unlike the supplemental files, a broken overrides file is an error: quietly
+// ignoring it would move every corrected city back
+async function loadOverrides() {
+  coordinateOverrides = (await readCoordinateOverrides()).overrides;
+}
+
+async function loadCountries() {
+  countryReference = await loadCountryReference();
+}
+
+function getCountryNameFromCode(code) {
+  const country = countryByCode(countryReference, code);
+  return country ? country.name : 'Unknown';
+}
+
+// The seven centroids used before the country reference existed; datasets
+// written without coordSource can only be recognized by these exact values
+const legacyCentroids = [
+  [37.0902, -95.7129],
+  [55.3781, -3.4360],
+  [-25.2744, 133.7751],
+  [51.1657, 10.4515],
+  [46.2276, 2.2137],
+  [52.1400, 5.2913],
+  [56.1304, -106.3468]
+];
+
+function isCountryCentroid(lat, lon) {
+  return legacyCentroids.some(([clat, clon]) => clat === lat && clon === lon);
+}
+
+/**
+ * Whether a relay sits on a country centroid, the last-resort fallback, i.e.
+ * its real city location is unknown. Uses `coordSource`, or the coordinates
+ * themselves for datasets written before it existed.
+ */
+export function placedOnCentroid(r) {
+  return r.coordSource ? r.coordSource === 'centroid' : isCountryCentroid(r.lat, r.lon);
+}
+
+// City coordinates entry used for a relay as { key, source }, in lookup
+// order: city code, lower-cased city name, city name, friendly name of the
+// city code; null when there is none
+function cityCoordinateEntry(cityCode, cityName) {
+  const candidates = [
+    [cityCode, 'cityCode'],
+    [cityName && cityName.toLowerCase(), 'cityName'],
+    [cityName, 'cityName'],
+    [cityCode && cityCodeToCityName[cityCode], 'friendlyName']
+  ];
+  const found = candidates.find(([k]) => {
+    const v = k ? cityCoordsFromFile[k] : null;
+    return v && typeof v.lat === 'number' && typeof v.lon === 'number';
+  });
+  return found ? { key: found[0], source: found[1] } : null;
+}
+
+// The coordinate override for a relay's city, if any
+function coordinateOverride(countryCode, cityCode) {
+  const key = overrideKey(countryCode, cityCode);
+  const v = key ? coordinateOverrides[key] : null;
+  return v && typeof v.lat === 'number' && typeof v.lon === 'number' ? v : null;
+}
+
+/**
+ * Which city coordinates entry each relay resolves to: Map of entry key ->
+ * relays using it. Relays without an entry (override, centroid or unresolved)
+ * are left out. Reads the coordinate files like ingestion does.
+ */
+export async function cityCoordinateUsage(relays) {
+  await loadCityCoords();
+  await loadOverrides();
+  const usage = new Map();
+  for (const r of relays) {
+    if (coordinateOverride(r.countryCode, r.cityCode)) continue;
+    const entry = cityCoordinateEntry(r.cityCode, r.city);
+    if (!entry) continue;
+    if (!usage.has(entry.key)) usage.set(entry.key, []);
+    usage.get(entry.key).push(r);
+  }
+  return usage;
+}
+
+// { lat, lon, source } for a relay, source being one of COORD_SOURCES
+// (lib/schema.js); lat/lon are null when unresolved
+function resolveCoordinates(countryCode, cityCode, cityName) {
+  // 1) coordinate override for the city
+  const override = coordinateOverride(countryCode, cityCode);
+  if (override) return { lat: override.lat, lon: override.lon, source: 'override' };
+  // 2) city code, then city name, then the friendly name of the city code
+  const entry = cityCoordinateEntry(cityCode, cityName);
+  if (entry) return { lat: cityCoordsFromFile[entry.key].lat, lon: cityCoordsFromFile[entry.key].lon, source: entry.source };
+  // 3) country centroid
+  const country = countryByCode(countryReference, countryCode);
+  if (country && country.centroid) return { lat: country.centroid[0], lon: country.centroid[1], source: 'centroid' };
+  return { lat: null, lon: null, source: 'unresolved' };
+}
+
+async function ensureDataDir() {
+  try {
+    await mkdir(DATA_DIR, { recursive: true });
+    await mkdir(ROOT_DATA_DIR, { recursive: true });
+  } catch {
+    // ignore
+  }
+}
+
+/**
+ * Map a single API relay object into the canonical (v2) schema used by the frontend:
+ * {
+ *   id, fqdn, type, country, countryCode, city, cityCode, lat, lon, coordSource, ownership,
+ *   provider, protocols, active, ipv4AddrIn, ipv6AddrIn, networkPortSpeed,
+ *   stboot, daita, pubkey, multihopPort, socks, ipv4V2ray, sshFingerprints,
+ *   statusMessages
+ * }
+ */
+export function mapApiRelayToCanonical(apiRelay) {
+  const hostname = apiRelay.hostname || apiRelay.fqdn || '';
+  const countryCode = (apiRelay.country_code || apiRelay.country || '').toUpperCase();
+  const country = apiRelay.country_name || getCountryNameFromCode(countryCode) || 'Unknown';
+  // prefer API city_name, fall back to city_code friendly map
+  const cityName = apiRelay.city_name || (apiRelay.city_code ? (cityCodeToCityName[apiRelay.city_code] || apiRelay.city_code.toUpperCase()) : '');
+  // type + protocols: bridges get their own type instead of an empty protocol list
+  const type = normalizeRelayType(apiRelay.type);
+  if (!type) dbg('Unknown relay type', apiRelay.type, 'for', hostname);
+  const protocols = protocolsForType(type);
+  // ownership: API field 'owned' exists (boolean). If present, owned===true => "Mullvad"
+  let ownership = 'Mullvad';
+  if (typeof apiRelay.owned === 'boolean') {
+    ownership = apiRelay.owned ? 'Mullvad' : 'Rented';
+  } else {
+    // fallback to provider heuristics
+    if (apiRelay.provider && /mullvad/i.test(apiRelay.provider)) ownership = 'Mullvad';
+    else ownership = 'Rented';
+  }
+
+  // coordinates: API doesn't include lat/lon — use supplemental lookups.
+  // Unresolved coordinates stay null (the frontend handles nulls gracefully).
+  const coords = resolveCoordinates(countryCode, apiRelay.city_code, cityName);
+
+  return toV2Relay({
+    id: hostname,
+    fqdn: apiRelay.fqdn,
+    type: type,
+    country: country,
+    countryCode: countryCode || 'XX',
+    city: cityName || '',
+    cityCode: apiRelay.city_code,
+    lat: coords.lat,
+    lon: coords.lon,
+    coordSource: coords.source,
+    ownership: ownership,
+    provider: apiRelay.provider,
+    protocols: protocols,
+    // preserve online/active state from the API when available
+    active: apiRelay && typeof apiRelay.active === 'boolean' ? apiRelay.active : true,
+    ipv4AddrIn: apiRelay.ipv4_addr_in,
+    ipv6AddrIn: apiRelay.ipv6_addr_in,
+    networkPortSpeed: apiRelay.network_port_speed,
+    stboot: apiRelay.stboot,
+    daita: apiRelay.daita,
+    pubkey: apiRelay.pubkey,
+    multihopPort: apiRelay.multihop_port,
+    socks: (apiRelay.socks_name || apiRelay.socks_port) ? { name: apiRelay.socks_name, port: apiRelay.socks_port } : null,
+    ipv4V2ray: apiRelay.ipv4_v2ray,
+    sshFingerprints: (apiRelay.ssh_fingerprint_sha256 || apiRelay.ssh_fingerprint_md5)
+      ? { sha256: apiRelay.ssh_fingerprint_sha256, md5: apiRelay.ssh_fingerprint_md5 }
+      : null,
+    statusMessages: apiRelay.status_messages
+  });
+}
+
+/**
+ * Fetch the relay list from the Mullvad API. Pass the validators from a
+ * previous response to make a conditional request; a 304 yields
+ * { notModified: true } and no relays.
+ * Returns { notModified, relays, etag, lastModified }.
+ */
+export async function fetchRelaysFromApi({ etag = null, lastModified = null } = {}) {
+  dbg('Fetching relays from API:', API_URL);
+  const headers = { 'Accept': 'application/json' };
+  if (etag) headers['If-None-Match'] = etag;
+  if (lastModified) headers['If-Modified-Since'] = lastModified;
+  const res = await fetch(API_URL, { cache: 'no-store', headers });
+  if (res.status === 304) {
+    dbg('API responded 304 Not Modified');
+    return { notModified: true, relays: null, etag, lastModified };
+  }
+  if (!res.ok) {
+    const body = await res.text().catch(() => '');
+    throw new Error(`Failed to fetch ${API_URL}: ${res.status} ${res.statusText} - ${String(body).slice(0, 200)}`);
+  }
+  const json = await res.json();
+  if (!Array.isArray(json)) throw new Error('Unexpected API response: expected array');
+  return {
+    notModified: false,
+    relays: json,
+    etag: res.headers.get('etag'),
+    lastModified: res.headers.get('last-modified')
+  };
+}
+
+async function readRelaysFromCache() {
+  dbg('Reading cached API payload from', ROOT_RAW_API_PATH);
+  const contents = await readFile(ROOT_RAW_API_PATH, 'utf8');
+  const json = JSON.parse(contents);
+  if (!Array.isArray(json)) throw new Error('Unexpected cached payload: expected array');
+  return json;
+}
+
+/**
+ * Current data/relays.json, or null when missing/unreadable.
+ */
+export async function readCurrentDataset() {
+  try {
+    const contents = await readFile(ROOT_RELAYS_PATH, 'utf8');
+    return readDataset(JSON.parse(contents));
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Normalize raw API relays into a v2 dataset envelope. Reloads the
+ * supplemental coordinate/country files so edits are picked up.
+ */
+export async function buildDatasetFromApi(apiRelays) {
+  await loadCityCoords();
+  await loadOverrides();
+  await loadCountries();
+  const sanitized = apiRelays.map(mapApiRelayToCanonical).filter(Boolean);
+  // normalize: frontend expects numbers or null for coordinates; fill defaults.
+  return buildDataset(sanitized.map(r => toV2Relay({
+    ...r,
+    country: r.country || getCountryNameFromCode(r.countryCode)
+  })));
+}
+
+/**
+ * Resolve the coordinates of an already ingested dataset again, e.g. after a
+ * coordinate override changed, and write it back like an ingest would (the
+ * relays are not re-fetched, so generatedAt and the snapshots stay as they
+ * are). Resolves to { dataset, moved, changed } where moved lists the ids of
+ * relays whose coordinates changed and changed counts the relays whose
+ * coordinates or coordSource did; nothing is written when it is 0.
+ */
+export async function reapplyCoordinates(dataset, { log = console } = {}) {
+  await loadCityCoords();
+  await loadOverrides();
+  await loadCountries();
+  const moved = [];
+  let changed = 0;
+  const relays = dataset.relays.map(r => {
+    const { lat, lon, source } = resolveCoordinates(r.countryCode, r.cityCode, r.city);
+    if (lat === r.lat && lon === r.lon && source === r.coordSource) return r;
+    changed += 1;
+    if (lat !== r.lat || lon !== r.lon) moved.push(r.id);
+    return { ...r, lat, lon, coordSource: source };
+  });
+  if (!changed) return { dataset, moved, changed };
+
+  const next = { ...dataset, relays };
+  const contents = JSON.stringify(next, null, 2);
+  try {
+    await writeFileAtomic(RELAYS_PATH, contents);
+  } catch (err) {
+    log.error('Failed to write relays to tools data path:', err.message || err);
+  }
+  await writeFileAtomic(ROOT_RELAYS_PATH, contents);
+  log.log(`Moved ${moved.length} relays to their updated coordinates in ${ROOT_RELAYS_PATH}`);
+  return { dataset: next, moved, changed };
+}
+
+/**
+ * How the relays were placed: { sources, cities } where sources counts the
+ * relays per coordSource and cities lists the cities still without real
+ * coordinates (on a country centroid or unresolved), most relays first:
+ * [{ countryCode, country, city, cityCode, coordSource, relays }].
+ */
+export function coordinateSummary(relays) {
+  const sources = Object.fromEntries(COORD_SOURCES.map(s => [s, 0]));
+  const cities = new Map();
+  for (const r of relays) {
+    if (r.coordSource) sources[r.coordSource] += 1;
+    if (r.coordSource !== 'centroid' && r.coordSource !== 'unresolved') continue;
+    const key = `${r.countryCode}\n${r.cityCode || r.city}`;
+    if (!cities.has(key)) {
+      cities.set(key, { countryCode: r.countryCode, country: r.country, city: r.city, cityCode: r.cityCode, coordSource: r.coordSource, relays: 0 });
+    }
+    cities.get(key).relays += 1;
+  }
+  return {
+    sources,
+    cities: [...cities.values()].sort((a, b) => (b.relays - a.relays) || a.countryCode.localeCompare(b.countryCode) || a.city.localeCompare(b.city))
+  };
+}
+
+/**
+ * Human-readable summary of coordinateSummary() for the ingest CLI.
+ */
+export function formatCoordinateSummary(summary) {
+  const counts = COORD_SOURCES.map(s => `${s} ${summary.sources[s]}`).join(', ');
+  const lines = [`Coordinates: ${counts}`];
+  if (summary.cities.length) {
+    lines.push(`${summary.cities.length} cities need real coordinates (npm run update-city-coords, or a coordinate override):`);
+    for (const c of summary.cities) {
+      const where = c.coordSource === 'centroid' ? 'on the country centroid' : 'unresolved';
+      lines.push(`  - ${c.city || '?'}${c.cityCode ? ` (${c.cityCode})` : ''}, ${c.countryCode}: ${c.relays} relay${c.relays === 1 ? '' : 's'} ${where}`);
+    }
+  }
+  return lines.join('\n');
+}
+
+/**
+ * Run one ingestion.
+ *
+ * Options:
+ *  - fromCache: re-map data/mullvad_api_raw.json instead of calling the API
+ *  - diffOnly:  dry run; compute the diff against the latest snapshot (or the
+ *               current data/relays.json) and write nothing
+ *  - etag / lastModified: validators for a conditional API request
+ *  - log: logger with log/error (defaults to console)
+ *
+ * After an update the alert rules in data/alerts.json (see lib/alerts.js) are
+ * evaluated against the dataset that was replaced; alert failures are logged
+ * and never fail the ingest.
+ *
+ * Resolves to { status, dataset, diff, baseline, snapshotId, alerts,
+ * coordinates, etag, lastModified, durationMs } where status is 'updated',
+ * 'not-modified' or 'dry-run' and coordinates is the coordinateSummary() of
+ * the new relays. Throws when the relays cannot be fetched or
+ * data/relays.json cannot be written.
+ */
+export async function runIngest({
+  fromCache = false,
+  diffOnly = false,
+  etag = null,
+  lastModified = null,
+  log = console
+} = {}) {
+  const started = Date.now();
+  const result = {
+    status: 'updated',
+    dataset: null,
+    diff: null,
+    baseline: null,
+    snapshotId: null,
+    alerts: null,
+    coordinates: null,
+    etag,
+    lastModified,
+    durationMs: 0
+  };
+  const finish = () => {
+    result.durationMs = Date.now() - started;
+    return result;
+  };
+
+  if (!diffOnly) await ensureDataDir();
+
+  let apiRelays;
+  if (fromCache) {
+    apiRelays = await readRelaysFromCache();
+  } else {
+    const fetched = await fetchRelaysFromApi({ etag, lastModified });
+    result.etag = fetched.etag;
+    result.lastModified = fetched.lastModified;
+    if (fetched.notModified) {
+      result.status = 'not-modified';
+      return finish();
+    }
+    apiRelays = fetched.relays;
+  }
+
+  // persist the full raw API response so we have a complete local cache
+  if (!fromCache && !diffOnly) {
+    const raw = JSON.stringify(apiRelays, null, 2);
+    try {
+      await writeFileAtomic(RAW_API_PATH, raw);
+      log.log(`Wrote ${apiRelays.length} raw API entries to ${RAW_API_PATH}`);
+    } catch (e) {
+      log.error('Failed to write raw API to tools data path:', e && e.message ? e.message : e);
+    }
+    try {
+      await writeFileAtomic(ROOT_RAW_API_PATH, raw);
+      log.log(`Also wrote ${apiRelays.length} raw API entries to ${ROOT_RAW_API_PATH}`);
+    } catch (e) {
+      log.error('Failed to write raw API to root data path:', e && e.message ? e.message : e);
+    }
+  }
+
+  const final = await buildDatasetFromApi(apiRelays);
+  result.dataset = final;
+  result.coordinates = coordinateSummary(final.relays);
+  const count = final.relays.length;
+  const current = await readCurrentDataset();
+  stampStatusMessages(current, final.relays, final.generatedAt);
+
+  if (diffOnly) {
+    result.status = 'dry-run';
+    const latest = await readLatestSnapshot();
+    const baseline = latest ? latest.dataset : current;
+    if (baseline) {
+      result.baseline = latest ? `snapshot ${latest.id}` : ROOT_RELAYS_PATH;
+      result.diff = diffRelays(baseline.relays, final.relays);
+    }
+    return finish();
+  }
+
+  // write to tools/data (best-effort) and root data/ (what the server serves)
+  const contents = JSON.stringify(final, null, 2);
+  try {
+    await writeFileAtomic(RELAYS_PATH, contents);
+    log.log(`Wrote ${count} relays to ${RELAYS_PATH}`);
+  } catch (err) {
+    log.error('Failed to write relays to tools data path:', err.message || err);
+  }
+  await writeFileAtomic(ROOT_RELAYS_PATH, contents);
+  log.log(`Also wrote ${count} relays to ${ROOT_RELAYS_PATH}`);
+
+  try {
+    const { id, diff, pruned } = await saveSnapshot(final, { fallbackPrevious: current });
+    result.snapshotId = id;
+    result.diff = diff;
+    log.log(`Saved snapshot ${id}${pruned.length ? ` (pruned ${pruned.length} old snapshots)` : ''}`);
+  } catch (err) {
+    log.error('Failed to save snapshot:', err.message || err);
+  }
+
+  try {
+    result.alerts = await runAlerts(current, final, { log });
+  } catch (err) {
+    const details = err.details && err.details.length ? ` (${err.details.join('; ')})` : '';
+    log.error(`Failed to evaluate alert rules: ${err.message || err}${details}`);
+  }
+  return finish();
+}
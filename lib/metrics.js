@@ -0,0 +1,195 @@
+/**
+ * lib/metrics.js
+ *
+ * Minimal Prometheus text exposition (format 0.0.4) for /metrics, without a
+ * client library.
+ *
+ *  - Counter / Histogram keep labelled values in memory and are updated as
+ *    requests happen.
+ *  - Gauges are produced by collector functions at scrape time, so they always
+ *    reflect the in-memory dataset; anything expensive should be cached by the
+ *    collector (see relayGaugeCollector).
+ */
+
+export const DEFAULT_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+export const CONTENT_TYPE = 'text/plain; version=0.0.4; charset=utf-8';
+
+function escapeLabelValue(v) {
+  return String(v).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+}
+
+function formatLabels(labels) {
+  const entries = Object.entries(labels || {});
+  if (entries.length === 0) return '';
+  return `{${entries.map(([k, v]) => `${k}="${escapeLabelValue(v)}"`).join(',')}}`;
+}
+
+function formatValue(v) {
+  if (v === Infinity) return '+Inf';
+  if (v === -Infinity) return '-Inf';
+  if (Number.isNaN(v)) return 'NaN';
+  return String(v);
+}
+
+function header(name, help, type) {
+  return `# HELP ${name} ${help.replace(/\\/g, '\\\\').replace(/\n/g, '\\n')}\n# TYPE ${name} ${type}\n`;
+}
+
+// Stable key for a label set
+function labelKey(labels) {
+  return JSON.stringify(Object.entries(labels || {}).sort(([a], [b]) => a.localeCompare(b)));
+}
+
+export class Counter {
+  constructor(name, help) {
+    this.name = name;
+    this.help = help;
+    this.values = new Map();
+  }
+
+  inc(labels = {}, by = 1) {
+    const key = labelKey(labels);
+    const entry = this.values.get(key);
+    if (entry) entry.value += by;
+    else this.values.set(key, { labels, value: by });
+  }
+
+  render() {
+    let out = header(this.name, this.help, 'counter');
+    for (const { labels, value } of this.values.values()) out += `${this.name}${formatLabels(labels)} ${formatValue(value)}\n`;
+    return out;
+  }
+}
+
+export class Histogram {
+  constructor(name, help, buckets = DEFAULT_BUCKETS) {
+    this.name = name;
+    this.help = help;
+    this.buckets = [...buckets].sort((a, b) => a - b);
+    this.values = new Map();
+  }
+
+  observe(labels, value) {
+    const key = labelKey(labels);
+    let entry = this.values.get(key);
+    if (!entry) {
+      entry = { labels, counts: new Array(this.buckets.length).fill(0), sum: 0, count: 0 };
+      this.values.set(key, entry);
+    }
+    const i = this.buckets.findIndex(b => value <= b);
+    if (i !== -1) entry.counts[i] += 1;
+    entry.sum += value;
+    entry.count += 1;
+  }
+
+  render() {
+    let out = header(this.name, this.help, 'histogram');
+    for (const { labels, counts, sum, count } of this.values.values()) {
+      let cumulative = 0;
+      this.buckets.forEach((le, i) => {
+        cumulative += counts[i];
+        out += `${this.name}_bucket${formatLabels({ ...labels, le: formatValue(le) })} ${cumulative}\n`;
+      });
+      out += `${this.name}_bucket${formatLabels({ ...labels, le: '+Inf' })} ${count}\n`;
+      out += `${this.name}_sum${formatLabels(labels)} ${formatValue(sum)}\n`;
+      out += `${this.name}_count${formatLabels(labels)} ${count}\n`;
+    }
+    return out;
+  }
+}
+
+export class MetricsRegistry {
+  constructor() {
+    this.metrics = [];
+    this.collectors = [];
+  }
+
+  counter(name, help) {
+    const c = new Counter(name, help);
+    this.metrics.push(c);
+    return c;
+  }
+
+  histogram(name, help, buckets) {
+    const h = new Histogram(name, help, buckets);
+    this.metrics.push(h);
+    return h;
+  }
+
+  /**
+   * Register a scrape-time collector returning
+   * [{ name, help, type: 'gauge', samples: [{ labels, value }] }].
+   */
+  collect(fn) {
+    this.collectors.push(fn);
+  }
+
+  render() {
+    let out = '';
+    for (const fn of this.collectors) {
+      for (const family of fn()) {
+        out += header(family.name, family.help, family.type || 'gauge');
+        for (const { labels, value } of family.samples) {
+          if (value == null) continue;
+          out += `${family.name}${formatLabels(labels)} ${formatValue(value)}\n`;
+        }
+      }
+    }
+    for (const m of this.metrics) out += m.render();
+    return out;
+  }
+}
+
+/**
+ * Express middleware recording request counts and latencies for routes under
+ * `prefix`. The route label is the matched route pattern (e.g.
+ * /api/relays/:id/history), never the raw URL, to keep label cardinality
+ * bounded. Streaming routes listed in `skipLatency` are only counted.
+ */
+export function httpMetrics(registry, { prefix = '/api/', skipLatency = ['/api/events'] } = {}) {
+  const requests = registry.counter('http_requests_total', 'HTTP requests to the API routes.');
+  const duration = registry.histogram('http_request_duration_seconds', 'Latency of HTTP requests to the API routes.');
+  return (req, res, next) => {
+    if (!req.path.startsWith(prefix)) return next();
+    const started = process.hrtime.bigint();
+    res.on('finish', () => {
+      const route = req.route ? `${req.baseUrl}${req.route.path}` : 'unmatched';
+      const labels = { method: req.method, route, status: String(res.statusCode) };
+      requests.inc(labels);
+      if (!skipLatency.includes(route)) {
+        duration.observe(labels, Number(process.hrtime.bigint() - started) / 1e9);
+      }
+    });
+    next();
+  };
+}
+
+/**
+ * Collector for relay counts labelled by country, type, ownership, provider
+ * and active state. The counts are cached per dataset object, so a scrape
+ * only walks the relay list after the dataset was swapped.
+ */
+export function relayGaugeCollector(store) {
+  let cached = { dataset: null, samples: [] };
+  return () => {
+    const dataset = store.dataset;
+    if (cached.dataset !== dataset) {
+      const counts = new Map();
+      for (const r of dataset.relays) {
+        const labels = {
+          country: r.countryCode || 'unknown',
+          type: r.type || 'unknown',
+          ownership: (r.ownership || 'unknown').toLowerCase(),
+          provider: r.provider || 'unknown',
+          active: String(r.active === true)
+        };
+        const key = labelKey(labels);
+        const entry = counts.get(key);
+        if (entry) entry.value += 1;
+        else counts.set(key, { labels, value: 1 });
+      }
+      cached = { dataset, samples: [...counts.values()] };
+    }
+    return [{ name: 'mullvad_relays', help: 'Relays in the served dataset.', type: 'gauge', samples: cached.samples }];
+  };
+}
@@ -0,0 +1,121 @@
+/**
+ * lib/multihop.js
+ *
+ * Multihop route planner: suggests (entry, exit) pairs of active WireGuard
+ * relays for an entry country and an exit country.
+ *
+ * Pairs are ranked by, in order:
+ *  1. provider diversity — a different hosting provider on each hop, so no
+ *     single provider sees both ends of the connection
+ *  2. ownership — number of Mullvad-owned hops (0..2), more is better
+ *  3. total great-circle distance — entry -> exit, plus client -> entry when
+ *     the client location (`from`) is known
+ *
+ * Only relays with coordinates are considered; the exit must have a
+ * multihopPort (the entry forwards to the exit on that port).
+ */
+
+import { QueryError } from './query.js';
+import { haversineKm, parseLatLon, relayPoint } from './geo.js';
+
+export const DEFAULT_SUGGESTIONS = 10;
+export const MAX_SUGGESTIONS = 100;
+
+const PARAMS = ['entry', 'exit', 'from', 'limit'];
+
+function matchesCountry(r, country) {
+  return (r.countryCode || '').toLowerCase() === country || (r.country || '').toLowerCase() === country;
+}
+
+function isMullvadOwned(r) {
+  return (r.ownership || '').toLowerCase() === 'mullvad';
+}
+
+function usable(r) {
+  return r.type === 'wireguard' && r.active === true && !!r.pubkey && !!r.ipv4AddrIn && relayPoint(r) != null;
+}
+
+function hop(r) {
+  return {
+    id: r.id,
+    city: r.city,
+    country: r.country,
+    countryCode: r.countryCode,
+    lat: r.lat,
+    lon: r.lon,
+    provider: r.provider,
+    ownership: r.ownership
+  };
+}
+
+/**
+ * Validate the raw query of /api/multihop/suggest; throws QueryError.
+ * Returns { entry, exit, from, limit } with lower-cased country values.
+ */
+export function parseMultihopQuery(raw) {
+  const details = [];
+  for (const key of Object.keys(raw || {})) {
+    if (!PARAMS.includes(key)) details.push(`${key}: unknown parameter`);
+    else if (Array.isArray(raw[key])) details.push(`${key}: may only be given once`);
+  }
+  const query = { entry: null, exit: null, from: null, limit: DEFAULT_SUGGESTIONS };
+
+  for (const k of ['entry', 'exit']) {
+    const v = typeof raw[k] === 'string' ? raw[k].trim().toLowerCase() : '';
+    if (v) query[k] = v;
+    else if (!Array.isArray(raw[k])) details.push(`${k}: required (country code or name)`);
+  }
+  if (typeof raw.from === 'string') {
+    query.from = parseLatLon(raw.from);
+    if (!query.from) details.push(`from: expected "lat,lon", got "${raw.from}"`);
+  }
+  if (typeof raw.limit === 'string') {
+    const n = Number(raw.limit);
+    if (/^\d+$/.test(raw.limit.trim()) && n >= 1 && n <= MAX_SUGGESTIONS) query.limit = n;
+    else details.push(`limit: expected an integer between 1 and ${MAX_SUGGESTIONS}, got "${raw.limit}"`);
+  }
+
+  if (details.length) throw new QueryError('invalid query parameters', details);
+  return query;
+}
+
+/**
+ * Ranked multihop suggestions for a parsed query.
+ */
+export function suggestMultihop(relays, { entry, exit, from = null, limit = DEFAULT_SUGGESTIONS }) {
+  const entries = relays.filter(r => usable(r) && matchesCountry(r, entry));
+  const exits = relays.filter(r => usable(r) && r.multihopPort && matchesCountry(r, exit));
+
+  const pairs = [];
+  for (const en of entries) {
+    const enPoint = relayPoint(en);
+    const clientToEntryKm = from ? haversineKm(from, enPoint) : null;
+    for (const ex of exits) {
+      if (en.id === ex.id) continue;
+      const entryToExitKm = haversineKm(enPoint, relayPoint(ex));
+      pairs.push({
+        entry: hop(en),
+        exit: { ...hop(ex), multihopPort: ex.multihopPort },
+        distanceKm: Math.round((clientToEntryKm || 0) + entryToExitKm),
+        legs: {
+          clientToEntryKm: clientToEntryKm == null ? null : Math.round(clientToEntryKm),
+          entryToExitKm: Math.round(entryToExitKm)
+        },
+        providerDiverse: !!en.provider && !!ex.provider && en.provider !== ex.provider,
+        ownedHops: Number(isMullvadOwned(en)) + Number(isMullvadOwned(ex))
+      });
+    }
+  }
+
+  pairs.sort((a, b) =>
+    (Number(b.providerDiverse) - Number(a.providerDiverse)) ||
+    (b.ownedHops - a.ownedHops) ||
+    (a.distanceKm - b.distanceKm) ||
+    a.entry.id.localeCompare(b.entry.id) ||
+    a.exit.id.localeCompare(b.exit.id));
+
+  return {
+    candidates: { entries: entries.length, exits: exits.length, pairs: pairs.length },
+    suggestions: pairs.slice(0, limit)
+  };
+}
@@ -0,0 +1,124 @@
+/**
+ * lib/nearest.js
+ *
+ * Nearest-relay finder for /api/relays/nearest.
+ *
+ * The origin is either ?lat=&lon= or ?near=<city name>, looked up in the city
+ * coordinates file used by ingestion (data/city-coordinates.json). Relays are
+ * ranked by great-circle distance over their resolved coordinates, after the
+ * usual /api/relays filters (type, active, country, ...).
+ *
+ * Relays placed on a country centroid (no city match during ingestion) would
+ * look misleadingly close or far, so they are skipped unless
+ * ?approximate=true, in which case they are included with approximate: true.
+ *
+ * estimatedRttMs is a rough round-trip guess: light in fibre covers ~200 km
+ * per ms, real routes are ~1.5x longer than the great circle, plus a few ms of
+ * fixed overhead. It is only meant to compare candidates.
+ */
+
+import { parseRelayQuery, QueryError, matchesRelayQuery } from './query.js';
+import { haversineKm, relayPoint } from './geo.js';
+import { placedOnCentroid } from './ingest.js';
+
+export const DEFAULT_K = 5;
+export const MAX_K = 50;
+
+const FIBRE_KM_PER_MS = 200;
+const ROUTE_FACTOR = 1.5;
+const BASE_RTT_MS = 5;
+
+export function estimateRttMs(distanceKm) {
+  return Math.round(BASE_RTT_MS + (2 * distanceKm * ROUTE_FACTOR) / FIBRE_KM_PER_MS);
+}
+
+function parseCoordinate(raw, name, limit, details) {
+  if (raw == null) return null;
+  const s = String(raw).trim();
+  const n = Number(s);
+  if (Array.isArray(raw) || !/^-?\d+(\.\d+)?$/.test(s) || Math.abs(n) > limit) {
+    details.push(`${name}: expected a number between -${limit} and ${limit}, got "${raw}"`);
+    return null;
+  }
+  return n;
+}
+
+/**
+ * Validate the raw query; throws QueryError. Returns
+ * { lat, lon, near, k, approximate, filters } where filters is a parsed
+ * relay query (see lib/query.js).
+ */
+export function parseNearestQuery(raw) {
+  const details = [];
+  let filters = {};
+  try {
+    filters = parseRelayQuery(raw, { filtersOnly: true, extraParams: ['lat', 'lon', 'near', 'k', 'approximate'] });
+  } catch (err) {
+    if (!(err instanceof QueryError)) throw err;
+    details.push(...err.details);
+  }
+
+  const lat = parseCoordinate(raw.lat, 'lat', 90, details);
+  const lon = parseCoordinate(raw.lon, 'lon', 180, details);
+  const near = typeof raw.near === 'string' && raw.near.trim() ? raw.near.trim() : null;
+  if (near && (raw.lat != null || raw.lon != null)) details.push('near: use either near or lat/lon, not both');
+  else if (!near && (lat == null) !== (lon == null)) details.push('lat/lon: both are required');
+  else if (!near && raw.lat == null && raw.lon == null) details.push('lat/lon or near: an origin is required');
+
+  let k = DEFAULT_K;
+  if (raw.k != null) {
+    const s = String(raw.k).trim();
+    k = Number(s);
+    if (!/^\d+$/.test(s) || k < 1 || k > MAX_K) details.push(`k: expected an integer between 1 and ${MAX_K}, got "${raw.k}"`);
+  }
+  const approximate = raw.approximate != null && ['true', '1'].includes(String(raw.approximate).toLowerCase());
+  if (raw.approximate != null && !approximate && !['false', '0'].includes(String(raw.approximate).toLowerCase())) {
+    details.push(`approximate: expected true or false, got "${raw.approximate}"`);
+  }
+
+  if (details.length) throw new QueryError('invalid query parameters', details);
+  return { lat, lon, near, k, approximate, filters };
+}
+
+/**
+ * Find `name` in a city coordinates map: exact key, lower-cased key, or a key
+ * whose part before the comma matches ("Atlanta" -> "atlanta, ga").
+ * Returns { name, lat, lon } or null.
+ */
+export function lookupCity(cityCoords, name) {
+  const valid = v => v && typeof v.lat === 'number' && typeof v.lon === 'number';
+  const lower = name.toLowerCase();
+  const key = [name, lower].find(k => valid(cityCoords[k])) ||
+    Object.keys(cityCoords).find(k => valid(cityCoords[k]) && k.toLowerCase().split(',')[0].trim() === lower);
+  return key ? { name: key, lat: cityCoords[key].lat, lon: cityCoords[key].lon } : null;
+}
+
+/**
+ * The k nearest matching relays to `origin` ([lat, lon]).
+ */
+export function nearestRelays(relays, origin, { k = DEFAULT_K, approximate = false, filters = {} } = {}) {
+  let skippedApproximate = 0;
+  const ranked = [];
+  for (const r of relays) {
+    const point = relayPoint(r);
+    if (!point || !matchesRelayQuery(r, filters)) continue;
+    const isApproximate = placedOnCentroid(r);
+    if (isApproximate && !approximate) {
+      skippedApproximate += 1;
+      continue;
+    }
+    const distanceKm = haversineKm(origin, point);
+    ranked.push({ relay: r, distanceKm, approximate: isApproximate });
+  }
+  ranked.sort((a, b) => (a.distanceKm - b.distanceKm) || a.relay.id.localeCompare(b.relay.id));
+
+  return {
+    skippedApproximate,
+    relays: ranked.slice(0, k).map(({ relay, distanceKm, approximate: approx }) => ({
+      ...relay,
+      distanceKm: Math.round(distanceKm * 10) / 10,
+      estimatedRttMs: estimateRttMs(distanceKm),
+      approximate: approx
+    }))
+  };
+}
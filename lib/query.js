@@ -0,0 +1,275 @@
+/**
+ * lib/query.js
+ *
+ * Filtering, sorting, field selection and pagination for /api/relays.
+ *
+ * parseRelayQuery(req.query, { schema }) validates the raw query string values
+ * and throws a QueryError (HTTP 400) describing every invalid parameter.
+ * applyRelayQuery(relays, query) then returns { total, offset, limit, relays }.
+ *
+ * Supported parameters (list values are comma separated, matching is
+ * case-insensitive):
+ *  - country   country code or country name        e.g. country=SE,NO
+ *  - city      city name or Mullvad city code      e.g. city=got
+ *  - protocol  wireguard | openvpn | bridge (alias: type)
+ *  - ownership mullvad | rented
+ *  - provider  hosting provider name               e.g. provider=M247
+ *  - active    true | false
+ *  - daita     true | false
+ *  - stboot    true | false
+ *  - coordSource  how the relay was placed (see COORD_SOURCES in lib/schema.js),
+ *              e.g. coordSource=centroid,unresolved
+ *  - sort      field list, prefix with "-" for descending, e.g. sort=country,-networkPortSpeed
+ *  - fields    field list to return, e.g. fields=id,city,active
+ *  - limit     1..MAX_LIMIT
+ *  - offset    >= 0
+ */
+
+import { COORD_SOURCES, normalizeRelayType, RELAY_TYPES } from './schema.js';
+
+export const MAX_LIMIT = 1000;
+
+const V1_FIELDS = ['id', 'country', 'countryCode', 'city', 'lat', 'lon', 'ownership', 'protocols', 'active'];
+const V2_FIELDS = [
+  ...V1_FIELDS,
+  'fqdn', 'type', 'cityCode', 'coordSource', 'provider', 'ipv4AddrIn', 'ipv6AddrIn', 'networkPortSpeed',
+  'stboot', 'daita', 'pubkey', 'multihopPort', 'socks', 'ipv4V2ray', 'sshFingerprints', 'statusMessages'
+];
+const SORTABLE_FIELDS = [
+  'id', 'country', 'countryCode', 'city', 'cityCode', 'lat', 'lon', 'coordSource', 'ownership',
+  'provider', 'type', 'active', 'networkPortSpeed', 'stboot', 'daita'
+];
+
+// Parameters accepted by /api/relays in addition to the query ones below.
+const PASSTHROUGH_PARAMS = ['schema'];
+// Filter parameters, also accepted on their own by the stats endpoints
+export const FILTER_PARAMS = ['country', 'city', 'protocol', 'type', 'ownership', 'provider', 'active', 'daita', 'stboot', 'coordSource'];
+const QUERY_PARAMS = [...FILTER_PARAMS, 'sort', 'fields', 'limit', 'offset'];
+
+export class QueryError extends Error {
+  constructor(message, details = []) {
+    super(message);
+    this.name = 'QueryError';
+    this.status = 400;
+    this.details = details;
+  }
+}
+
+/**
+ * Field names that may be requested via ?fields= for a schema version.
+ */
+export function fieldsForSchema(schema) {
+  return schema === 1 ? V1_FIELDS : V2_FIELDS;
+}
+
+function single(raw, name, details) {
+  if (raw == null) return null;
+  if (Array.isArray(raw)) {
+    details.push(`${name}: may only be given once`);
+    return null;
+  }
+  return String(raw);
+}
+
+function list(raw, name, details) {
+  const s = single(raw, name, details);
+  if (s == null) return null;
+  const items = s.split(',').map(v => v.trim()).filter(Boolean);
+  if (items.length === 0) {
+    details.push(`${name}: must not be empty`);
+    return null;
+  }
+  return items;
+}
+
+function parseBool(raw, name, details) {
+  const s = single(raw, name, details);
+  if (s == null) return null;
+  const v = s.trim().toLowerCase();
+  if (v === 'true' || v === '1') return true;
+  if (v === 'false' || v === '0') return false;
+  details.push(`${name}: expected true or false, got "${s}"`);
+  return null;
+}
+
+function parseInteger(raw, name, min, max, details) {
+  const s = single(raw, name, details);
+  if (s == null) return null;
+  const n = Number(s);
+  if (!/^\d+$/.test(s.trim()) || !Number.isSafeInteger(n) || n < min || n > max) {
+    details.push(`${name}: expected an integer between ${min} and ${max}, got "${s}"`);
+    return null;
+  }
+  return n;
+}
+
+/**
+ * Validate the raw Express query object. Throws QueryError on any invalid or
+ * unknown parameter. `extraParams` lists additional names the caller handles;
+ * `filtersOnly` rejects the sort/fields/pagination parameters.
+ */
+export function parseRelayQuery(raw, { schema = 1, extraParams = [], filtersOnly = false } = {}) {
+  const details = [];
+  const known = new Set([...(filtersOnly ? FILTER_PARAMS : [...QUERY_PARAMS, ...PASSTHROUGH_PARAMS]), ...extraParams]);
+  for (const key of Object.keys(raw || {})) {
+    if (!known.has(key)) details.push(`${key}: unknown parameter`);
+  }
+
+  const query = {};
+
+  const countries = list(raw.country, 'country', details);
+  if (countries) query.country = countries.map(c => c.toLowerCase());
+
+  const cities = list(raw.city, 'city', details);
+  if (cities) query.city = cities.map(c => c.toLowerCase());
+
+  if (raw.protocol != null && raw.type != null) details.push('protocol: use either protocol or type, not both');
+  const protoName = raw.protocol != null ? 'protocol' : 'type';
+  const protocols = list(raw.protocol != null ? raw.protocol : raw.type, protoName, details);
+  if (protocols) {
+    query.type = [];
+    for (const p of protocols) {
+      const t = normalizeRelayType(p);
+      if (t) query.type.push(t);
+      else details.push(`${protoName}: unknown value "${p}", expected one of ${RELAY_TYPES.join(', ')}`);
+    }
+  }
+
+  const ownership = list(raw.ownership, 'ownership', details);
+  if (ownership) {
+    query.ownership = [];
+    for (const o of ownership) {
+      const v = o.toLowerCase();
+      if (v === 'mullvad' || v === 'rented') query.ownership.push(v);
+      else details.push(`ownership: unknown value "${o}", expected mullvad or rented`);
+    }
+  }
+
+  const providers = list(raw.provider, 'provider', details);
+  if (providers) query.provider = providers.map(p => p.toLowerCase());
+
+  const active = parseBool(raw.active, 'active', details);
+  if (active != null) query.active = active;
+
+  const coordSources = list(raw.coordSource, 'coordSource', details);
+  if (coordSources) {
+    query.coordSource = [];
+    for (const c of coordSources) {
+      const v = COORD_SOURCES.find(source => source.toLowerCase() === c.toLowerCase());
+      if (v) query.coordSource.push(v);
+      else details.push(`coordSource: unknown value "${c}", expected one of ${COORD_SOURCES.join(', ')}`);
+    }
+  }
+
+  for (const flag of ['daita', 'stboot']) {
+    const v = parseBool(raw[flag], flag, details);
+    if (v != null) query[flag] = v;
+  }
+
+  const sort = list(raw.sort, 'sort', details);
+  if (sort) {
+    query.sort = [];
+    for (const s of sort) {
+      const desc = s.startsWith('-');
+      const field = desc ? s.slice(1) : s;
+      if (SORTABLE_FIELDS.includes(field)) query.sort.push({ field, desc });
+      else details.push(`sort: cannot sort by "${field}", expected one of ${SORTABLE_FIELDS.join(', ')}`);
+    }
+  }
+
+  const fields = list(raw.fields, 'fields', details);
+  if (fields) {
+    const allowed = fieldsForSchema(schema);
+    for (const f of fields) {
+      if (!allowed.includes(f)) details.push(`fields: unknown field "${f}" for schema v${schema}`);
+    }
+    query.fields = fields;
+  }
+
+  const limit = parseInteger(raw.limit, 'limit', 1, MAX_LIMIT, details);
+  if (limit != null) query.limit = limit;
+  const offset = parseInteger(raw.offset, 'offset', 0, Number.MAX_SAFE_INTEGER, details);
+  query.offset = offset != null ? offset : 0;
+
+  if (details.length) throw new QueryError('invalid query parameters', details);
+  return query;
+}
+
+/**
+ * Whether a single (v2) relay matches the filter part of a parsed query.
+ */
+export function matchesRelayQuery(r, query) {
+  if (query.country) {
+    const code = (r.countryCode || '').toLowerCase();
+    const name = (r.country || '').toLowerCase();
+    if (!query.country.includes(code) && !query.country.includes(name)) return false;
+  }
+  if (query.city) {
+    const name = (r.city || '').toLowerCase();
+    const code = (r.cityCode || '').toLowerCase();
+    if (!query.city.includes(name) && !query.city.includes(code)) return false;
+  }
+  if (query.type && !query.type.includes(r.type)) return false;
+  if (query.ownership && !query.ownership.includes((r.ownership || '').toLowerCase())) return false;
+  if (query.provider && !query.provider.includes((r.provider || '').toLowerCase())) return false;
+  if (query.active != null && r.active !== query.active) return false;
+  if (query.daita != null && (r.daita === true) !== query.daita) return false;
+  if (query.stboot != null && (r.stboot === true) !== query.stboot) return false;
+  if (query.coordSource && !query.coordSource.includes(r.coordSource)) return false;
+  return true;
+}
+
+function compareValues(a, b) {
+  // nulls always sort last regardless of direction
+  if (a == null && b == null) return 0;
+  if (a == null) return 1;
+  if (b == null) return -1;
+  if (typeof a === 'string' && typeof b === 'string') return a.localeCompare(b);
+  if (a < b) return -1;
+  if (a > b) return 1;
+  return 0;
+}
+
+function sortRelays(relays, sort) {
+  return relays
+    .map((r, i) => ({ r, i }))
+    .sort((x, y) => {
+      for (const { field, desc } of sort) {
+        const a = x.r[field];
+        const b = y.r[field];
+        const c = compareValues(a, b);
+        if (c === 0) continue;
+        return (desc && a != null && b != null) ? -c : c;
+      }
+      return x.i - y.i;
+    })
+    .map(x => x.r);
+}
+
+/**
+ * Project a relay to the requested field list (used after any v1/v2 projection).
+ */
+export function selectFields(r, fields) {
+  if (!fields) return r;
+  const out = {};
+  for (const f of fields) out[f] = r[f] === undefined ? null : r[f];
+  return out;
+}
+
+/**
+ * Filter, sort and paginate. Field selection is left to the caller so that it
+ * can be applied after the schema projection.
+ */
+export function applyRelayQuery(relays, query) {
+  let result = relays.filter(r => matchesRelayQuery(r, query));
+  if (query.sort && query.sort.length) result = sortRelays(result, query.sort);
+  const total = result.length;
+  const offset = query.offset || 0;
+  const end = query.limit != null ? offset + query.limit : undefined;
+  return {
+    total,
+    offset,
+    limit: query.limit != null ? query.limit : null,
+    relays: result.slice(offset, end)
+  };
+}
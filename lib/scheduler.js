@@ -0,0 +1,139 @@
+/**
+ * lib/scheduler.js
+ *
+ * Optional in-process refresh of the relay dataset.
+ *
+ * Runs lib/ingest.js on a fixed interval using conditional requests
+ * (ETag / If-Modified-Since), and swaps the result into the DatasetStore
+ * without a restart. Failures back off exponentially (interval * 2^n, capped
+ * at maxBackoffMs) until the next successful refresh.
+ *
+ * Configure with REFRESH_INTERVAL_MINUTES (unset or 0 disables the scheduler)
+ * and REFRESH_MAX_BACKOFF_MINUTES (default 60, never below the interval).
+ */
+
+import { runIngest } from './ingest.js';
+
+const MINUTE = 60 * 1000;
+
+export function refreshConfigFromEnv(env = process.env) {
+  const interval = Number.parseFloat(env.REFRESH_INTERVAL_MINUTES);
+  const maxBackoff = Number.parseFloat(env.REFRESH_MAX_BACKOFF_MINUTES);
+  const intervalMs = Number.isFinite(interval) && interval > 0 ? interval * MINUTE : null;
+  return {
+    intervalMs,
+    maxBackoffMs: Math.max(
+      Number.isFinite(maxBackoff) && maxBackoff > 0 ? maxBackoff * MINUTE : 60 * MINUTE,
+      intervalMs || 0
+    )
+  };
+}
+
+export class RefreshScheduler {
+  constructor(store, { intervalMs = null, maxBackoffMs = 60 * MINUTE, log = console } = {}) {
+    this.store = store;
+    this.intervalMs = intervalMs;
+    this.maxBackoffMs = maxBackoffMs;
+    this.log = log;
+    this.timer = null;
+    this.running = null;
+    this.validators = { etag: null, lastModified: null };
+    this.state = {
+      lastAttemptAt: null,
+      lastSuccessAt: null,
+      lastChangeAt: null,
+      lastError: null,
+      lastResult: null,
+      lastDurationMs: null,
+      consecutiveFailures: 0,
+      nextRunAt: null,
+      // number of runs by outcome: updated, not-modified or error
+      runs: { updated: 0, 'not-modified': 0, error: 0 }
+    };
+  }
+
+  get enabled() {
+    return this.intervalMs != null;
+  }
+
+  start() {
+    if (!this.enabled || this.timer) return;
+    this.log.log(`Scheduled relay refresh every ${Math.round(this.intervalMs / 1000)}s`);
+    this.schedule(this.intervalMs);
+  }
+
+  stop() {
+    if (this.timer) clearTimeout(this.timer);
+    this.timer = null;
+    this.state.nextRunAt = null;
+  }
+
+  schedule(delayMs) {
+    if (this.timer) clearTimeout(this.timer);
+    this.state.nextRunAt = new Date(Date.now() + delayMs).toISOString();
+    this.timer = setTimeout(() => {
+      this.timer = null;
+      this.refresh().finally(() => {
+        if (!this.enabled) return;
+        const n = this.state.consecutiveFailures;
+        this.schedule(n ? Math.min(this.intervalMs * 2 ** n, this.maxBackoffMs) : this.intervalMs);
+      });
+    }, delayMs);
+    if (typeof this.timer.unref === 'function') this.timer.unref();
+  }
+
+  /**
+   * Run one refresh now. Concurrent calls share the in-flight run.
+   */
+  refresh() {
+    if (this.running) return this.running;
+    this.running = this.runOnce().finally(() => {
+      this.running = null;
+    });
+    return this.running;
+  }
+
+  async runOnce() {
+    const attemptAt = new Date().toISOString();
+    const started = Date.now();
+    this.state.lastAttemptAt = attemptAt;
+    try {
+      const result = await runIngest({ ...this.validators, log: this.log });
+      this.state.lastDurationMs = result.durationMs;
+      this.state.runs[result.status] = (this.state.runs[result.status] || 0) + 1;
+      this.validators = { etag: result.etag, lastModified: result.lastModified };
+      this.state.lastSuccessAt = attemptAt;
+      this.state.consecutiveFailures = 0;
+      this.state.lastResult = {
+        status: result.status,
+        durationMs: result.durationMs,
+        snapshotId: result.snapshotId,
+        changes: result.diff ? result.diff.summary.total : null,
+        coordSources: result.coordinates ? result.coordinates.sources : null,
+        citiesWithoutCoordinates: result.coordinates ? result.coordinates.cities.length : null
+      };
+      if (result.status === 'updated') {
+        await this.store.markWritten();
+        this.store.set(result.dataset, { source: 'refresh' });
+        this.state.lastChangeAt = attemptAt;
+      }
+      return result;
+    } catch (err) {
+      this.state.lastDurationMs = Date.now() - started;
+      this.state.runs.error += 1;
+      this.state.consecutiveFailures += 1;
+      this.state.lastError = { at: attemptAt, message: err && err.message ? err.message : String(err) };
+      this.log.error('Scheduled relay refresh failed:', this.state.lastError.message);
+      return null;
+    }
+  }
+
+  status() {
+    return {
+      enabled: this.enabled,
+      intervalMs: this.intervalMs,
+      inProgress: !!this.running,
+      ...this.state
+    };
+  }
+}
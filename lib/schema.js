@@ -0,0 +1,189 @@
+/**
+ * lib/schema.js
+ *
+ * Canonical relay schema shared by the ingestion tool and the server.
+ *
+ * - v1: the original flat record
+ *     { id, country, countryCode, city, lat, lon, ownership, protocols, active }
+ * - v2: v1 plus an explicit `type` and the relay metadata returned by the
+ *   Mullvad API (provider, addresses, port speed, keys, bridge details, ...),
+ *   and `coordSource`, how ingestion placed the relay (see COORD_SOURCES).
+ *
+ * data/relays.json is written as a v2 envelope:
+ *   { schemaVersion: 2, generatedAt, relays: [...] }
+ * Older files (a bare v1 array) are still accepted by readDataset().
+ */
+
+export const SCHEMA_VERSION = 2;
+export const SUPPORTED_SCHEMA_VERSIONS = [1, 2];
+
+export const RELAY_TYPES = ['wireguard', 'openvpn', 'bridge'];
+
+/**
+ * Values of a v2 relay's `coordSource`, in the order ingestion tries them:
+ *  - override      a coordinate override for the city (data/coordinate-overrides.json)
+ *  - cityCode      the city coordinates entry for the API's city code
+ *  - cityName      the entry for the city name
+ *  - friendlyName  the entry for the project's friendly name of the city code
+ *  - centroid      no entry; placed on its country's centroid
+ *  - unresolved    no coordinates at all (lat/lon are null)
+ */
+export const COORD_SOURCES = ['override', 'cityCode', 'cityName', 'friendlyName', 'centroid', 'unresolved'];
+
+const TYPE_ALIASES = {
+  wireguard: 'wireguard',
+  wg: 'wireguard',
+  openvpn: 'openvpn',
+  ovpn: 'openvpn',
+  bridge: 'bridge',
+  br: 'bridge'
+};
+
+/**
+ * Normalize an API/type token ("wg", "OpenVPN", "bridge") into one of RELAY_TYPES.
+ * Returns null for unknown values.
+ */
+export function normalizeRelayType(value) {
+  const t = (value || '').toString().trim().toLowerCase();
+  return TYPE_ALIASES[t] || null;
+}
+
+/**
+ * Display protocols for a relay type. Bridges are reported as "Bridge" so they
+ * are no longer silently dropped from protocol counts (v2 only).
+ */
+export function protocolsForType(type) {
+  switch (type) {
+    case 'wireguard': return ['WireGuard'];
+    case 'openvpn': return ['OpenVPN'];
+    case 'bridge': return ['Bridge'];
+    default: return [];
+  }
+}
+
+function str(v) {
+  return typeof v === 'string' && v.trim() ? v.trim() : null;
+}
+
+function num(v) {
+  const n = typeof v === 'number' ? v : (typeof v === 'string' && v.trim() ? Number(v) : NaN);
+  return Number.isFinite(n) ? n : null;
+}
+
+function bool(v) {
+  return typeof v === 'boolean' ? v : null;
+}
+
+function coord(v) {
+  return typeof v === 'number' && Number.isFinite(v) ? v : null;
+}
+
+// Records written before coordSource existed only tell us when they have no coordinates
+function normalizeCoordSource(r) {
+  if (COORD_SOURCES.includes(r.coordSource)) return r.coordSource;
+  return coord(r.lat) == null || coord(r.lon) == null ? 'unresolved' : null;
+}
+
+function normalizeStatusMessages(list) {
+  if (!Array.isArray(list)) return [];
+  return list
+    .filter(m => m && typeof m.message === 'string' && m.message.trim())
+    .map(m => ({
+      message: m.message.trim(),
+      timestamp: str(m.timestamp),
+      firstSeenAt: str(m.firstSeenAt)
+    }));
+}
+
+/**
+ * Coerce a (possibly partial or v1) relay object into a complete v2 record.
+ * Missing metadata is filled with nulls so every v2 record has the same shape.
+ */
+export function toV2Relay(r) {
+  const type = normalizeRelayType(r.type)
+    || normalizeRelayType(Array.isArray(r.protocols) && r.protocols.length ? r.protocols[0] : '');
+  const socks = r.socks && (str(r.socks.name) || num(r.socks.port) != null)
+    ? { name: str(r.socks.name), port: num(r.socks.port) }
+    : null;
+  const ssh = r.sshFingerprints && (str(r.sshFingerprints.sha256) || str(r.sshFingerprints.md5))
+    ? { sha256: str(r.sshFingerprints.sha256), md5: str(r.sshFingerprints.md5) }
+    : null;
+
+  return {
+    id: r.id || '',
+    fqdn: str(r.fqdn),
+    type: type,
+    country: r.country || 'Unknown',
+    countryCode: r.countryCode || 'XX',
+    city: r.city || '',
+    cityCode: str(r.cityCode),
+    lat: coord(r.lat),
+    lon: coord(r.lon),
+    coordSource: normalizeCoordSource(r),
+    ownership: r.ownership || 'Mullvad',
+    provider: str(r.provider),
+    protocols: Array.isArray(r.protocols) && r.protocols.length ? r.protocols : protocolsForType(type),
+    active: typeof r.active === 'boolean' ? r.active : true,
+    ipv4AddrIn: str(r.ipv4AddrIn),
+    ipv6AddrIn: str(r.ipv6AddrIn),
+    networkPortSpeed: num(r.networkPortSpeed),
+    stboot: bool(r.stboot),
+    daita: bool(r.daita),
+    pubkey: str(r.pubkey),
+    multihopPort: num(r.multihopPort),
+    socks: socks,
+    ipv4V2ray: str(r.ipv4V2ray),
+    sshFingerprints: ssh,
+    statusMessages: normalizeStatusMessages(r.statusMessages)
+  };
+}
+
+/**
+ * Project a v2 record down to the v1 shape served to legacy consumers.
+ * v1 never listed a protocol for bridges, so that behaviour is kept here.
+ */
+export function toV1Relay(r) {
+  const protocols = Array.isArray(r.protocols)
+    ? r.protocols.filter(p => /^(wireguard|openvpn)$/i.test(String(p)))
+    : [];
+  return {
+    id: r.id,
+    country: r.country,
+    countryCode: r.countryCode,
+    city: r.city,
+    lat: coord(r.lat),
+    lon: coord(r.lon),
+    ownership: r.ownership,
+    protocols: protocols,
+    active: typeof r.active === 'boolean' ? r.active : true
+  };
+}
+
+/**
+ * Wrap a list of v2 relays into the on-disk / API envelope.
+ */
+export function buildDataset(relays, generatedAt = new Date().toISOString()) {
+  return {
+    schemaVersion: SCHEMA_VERSION,
+    generatedAt: generatedAt,
+    relays: relays
+  };
+}
+
+/**
+ * Parse the contents of data/relays.json (either a v2 envelope or a legacy v1
+ * array) and return { schemaVersion, generatedAt, relays } with v2 relays.
+ */
+export function readDataset(parsed) {
+  if (Array.isArray(parsed)) {
+    return { schemaVersion: 1, generatedAt: null, relays: parsed.filter(Boolean).map(toV2Relay) };
+  }
+  if (parsed && typeof parsed === 'object' && Array.isArray(parsed.relays)) {
+    return {
+      schemaVersion: Number(parsed.schemaVersion) || SCHEMA_VERSION,
+      generatedAt: parsed.generatedAt || null,
+      relays: parsed.relays.filter(Boolean).map(toV2Relay)
+    };
+  }
+  throw new Error('Unrecognised relays dataset: expected an array or { relays: [...] }');
+}
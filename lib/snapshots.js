@@ -0,0 +1,284 @@
+/**
+ * lib/snapshots.js
+ *
+ * Timestamped history of ingested datasets plus change detection.
+ *
+ * Layout (data/snapshots/):
+ *  - index.json          [{ id, takenAt, generatedAt, relayCount, activeCount, previous, changes }]
+ *                        oldest first; `changes` is the diff summary vs `previous`
+ *  - <id>.json           the v2 dataset envelope as written by ingest
+ *  - <id>.diff.json      structured diff against the previous snapshot
+ *
+ * Snapshot ids are compact UTC timestamps (e.g. 20250101T120000Z) so they sort
+ * lexically in time order.
+ *
+ * Retention: keep the newest SNAPSHOT_RETENTION snapshots (default 48) and, when
+ * SNAPSHOT_MAX_AGE_DAYS is set, drop anything older than that.
+ */
+
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { mkdir, readFile, unlink } from 'fs/promises';
+import { readDataset } from './schema.js';
+import { writeFileAtomic } from './fs-atomic.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+export const SNAPSHOTS_DIR = path.join(__dirname, '..', 'data', 'snapshots');
+
+const DEFAULT_RETENTION = 48;
+const ID_PATTERN = /^\d{8}T\d{6}Z$/;
+
+// Relay fields compared for address changes
+const IP_FIELDS = ['ipv4AddrIn', 'ipv6AddrIn', 'ipv4V2ray'];
+
+/**
+ * Retention policy from the environment.
+ */
+export function retentionFromEnv(env = process.env) {
+  const keep = Number.parseInt(env.SNAPSHOT_RETENTION, 10);
+  const maxAgeDays = Number.parseFloat(env.SNAPSHOT_MAX_AGE_DAYS);
+  return {
+    keep: Number.isFinite(keep) && keep > 0 ? keep : DEFAULT_RETENTION,
+    maxAgeDays: Number.isFinite(maxAgeDays) && maxAgeDays > 0 ? maxAgeDays : null
+  };
+}
+
+/**
+ * Build a snapshot id from a Date: 2025-01-01T12:00:00.123Z -> 20250101T120000Z
+ */
+export function snapshotIdFromDate(date) {
+  return date.toISOString().replace(/[-:]/g, '').replace(/\.\d+Z$/, 'Z');
+}
+
+export function isSnapshotId(value) {
+  return typeof value === 'string' && ID_PATTERN.test(value);
+}
+
+async function readJson(file) {
+  const contents = await readFile(file);
+  return JSON.parse(contents);
+}
+
+/**
+ * Snapshot index, oldest first. Missing index => [].
+ */
+export async function listSnapshots(dir = SNAPSHOTS_DIR) {
+  try {
+    const index = await readJson(path.join(dir, 'index.json'));
+    return Array.isArray(index) ? index : [];
+  } catch (err) {
+    if (err && err.code === 'ENOENT') return [];
+    throw err;
+  }
+}
+
+/**
+ * Load a snapshot dataset ({ schemaVersion, generatedAt, relays }) by id.
+ */
+export async function readSnapshot(id, dir = SNAPSHOTS_DIR) {
+  if (!isSnapshotId(id)) throw new Error(`invalid snapshot id: ${id}`);
+  return readDataset(await readJson(path.join(dir, `${id}.json`)));
+}
+
+/**
+ * Load the stored diff for a snapshot (null for the first snapshot).
+ */
+export async function readSnapshotDiff(id, dir = SNAPSHOTS_DIR) {
+  if (!isSnapshotId(id)) throw new Error(`invalid snapshot id: ${id}`);
+  try {
+    return await readJson(path.join(dir, `${id}.diff.json`));
+  } catch (err) {
+    if (err && err.code === 'ENOENT') return null;
+    throw err;
+  }
+}
+
+/**
+ * The most recent snapshot dataset, or null when there is none.
+ */
+export async function readLatestSnapshot(dir = SNAPSHOTS_DIR) {
+  const index = await listSnapshots(dir);
+  if (index.length === 0) return null;
+  const last = index[index.length - 1];
+  return { id: last.id, dataset: await readSnapshot(last.id, dir) };
+}
+
+function relayRef(r) {
+  return {
+    id: r.id,
+    type: r.type || null,
+    country: r.country,
+    countryCode: r.countryCode,
+    city: r.city
+  };
+}
+
+/**
+ * Structured diff between two relay lists (v2 records).
+ */
+export function diffRelays(prevRelays, nextRelays) {
+  const prev = new Map(prevRelays.map(r => [r.id, r]));
+  const next = new Map(nextRelays.map(r => [r.id, r]));
+
+  const diff = {
+    added: [],
+    removed: [],
+    activated: [],
+    deactivated: [],
+    ownershipChanged: [],
+    providerChanged: [],
+    ipChanged: []
+  };
+
+  for (const [id, r] of next) {
+    const before = prev.get(id);
+    if (!before) {
+      diff.added.push({ ...relayRef(r), active: r.active });
+      continue;
+    }
+    if (before.active !== r.active) {
+      (r.active ? diff.activated : diff.deactivated).push(relayRef(r));
+    }
+    if (before.ownership !== r.ownership) {
+      diff.ownershipChanged.push({ ...relayRef(r), from: before.ownership, to: r.ownership });
+    }
+    if ((before.provider || null) !== (r.provider || null)) {
+      diff.providerChanged.push({ ...relayRef(r), from: before.provider || null, to: r.provider || null });
+    }
+    for (const field of IP_FIELDS) {
+      if ((before[field] || null) !== (r[field] || null)) {
+        diff.ipChanged.push({ ...relayRef(r), field, from: before[field] || null, to: r[field] || null });
+      }
+    }
+  }
+  for (const [id, r] of prev) {
+    if (!next.has(id)) diff.removed.push({ ...relayRef(r), active: r.active });
+  }
+
+  const summary = {};
+  let total = 0;
+  for (const [k, v] of Object.entries(diff)) {
+    summary[k] = v.length;
+    total += v.length;
+  }
+  summary.total = total;
+  return { summary, ...diff };
+}
+
+/**
+ * Human readable one-line-per-change rendering of a diff (used by the CLI).
+ */
+export function formatDiff(diff) {
+  const lines = [];
+  const s = diff.summary;
+  lines.push(`Changes: ${s.total} (added ${s.added}, removed ${s.removed}, activated ${s.activated}, deactivated ${s.deactivated}, ownership ${s.ownershipChanged}, provider ${s.providerChanged}, ip ${s.ipChanged})`);
+  for (const r of diff.added) lines.push(`  + ${r.id} (${r.city}, ${r.countryCode})`);
+  for (const r of diff.removed) lines.push(`  - ${r.id} (${r.city}, ${r.countryCode})`);
+  for (const r of diff.activated) lines.push(`  ↑ ${r.id} online`);
+  for (const r of diff.deactivated) lines.push(`  ↓ ${r.id} offline`);
+  for (const c of diff.ownershipChanged) lines.push(`  ~ ${c.id} ownership ${c.from} -> ${c.to}`);
+  for (const c of diff.providerChanged) lines.push(`  ~ ${c.id} provider ${c.from} -> ${c.to}`);
+  for (const c of diff.ipChanged) lines.push(`  ~ ${c.id} ${c.field} ${c.from} -> ${c.to}`);
+  return lines.join('\n');
+}
+
+/**
+ * Save a dataset as a new snapshot, store its diff against the previous
+ * snapshot (or `fallbackPrevious`, e.g. the current data/relays.json, when no
+ * snapshot exists yet) and apply retention. Returns { id, diff, pruned }.
+ */
+export async function saveSnapshot(dataset, {
+  dir = SNAPSHOTS_DIR,
+  now = new Date(),
+  fallbackPrevious = null,
+  retention = retentionFromEnv()
+} = {}) {
+  await mkdir(dir, { recursive: true });
+  const index = await listSnapshots(dir);
+
+  let id = snapshotIdFromDate(now);
+  // two ingests within the same second: bump until unique
+  while (index.some(e => e.id === id)) {
+    now = new Date(now.getTime() + 1000);
+    id = snapshotIdFromDate(now);
+  }
+
+  const last = index.length ? index[index.length - 1] : null;
+  let previous = null;
+  let prevRelays = null;
+  if (last) {
+    previous = last.id;
+    prevRelays = (await readSnapshot(last.id, dir)).relays;
+  } else if (fallbackPrevious) {
+    prevRelays = fallbackPrevious.relays;
+  }
+  const diff = prevRelays ? diffRelays(prevRelays, dataset.relays) : null;
+
+  await writeFileAtomic(path.join(dir, `${id}.json`), JSON.stringify(dataset));
+  if (diff) {
+    const stored = { from: previous, to: id, takenAt: now.toISOString(), ...diff };
+    await writeFileAtomic(path.join(dir, `${id}.diff.json`), JSON.stringify(stored, null, 2));
+  }
+
+  index.push({
+    id,
+    takenAt: now.toISOString(),
+    generatedAt: dataset.generatedAt || null,
+    relayCount: dataset.relays.length,
+    activeCount: dataset.relays.filter(r => r.active).length,
+    previous,
+    changes: diff ? diff.summary : null
+  });
+
+  const pruned = await pruneSnapshots(index, { dir, now, retention });
+  await writeFileAtomic(path.join(dir, 'index.json'), JSON.stringify(index, null, 2));
+  return { id, diff, pruned };
+}
+
+/**
+ * Apply the retention policy to `index` in place, deleting pruned files.
+ * Returns the ids removed.
+ */
+async function pruneSnapshots(index, { dir, now, retention }) {
+  const removed = [];
+  const cutoff = retention.maxAgeDays != null
+    ? now.getTime() - retention.maxAgeDays * 24 * 60 * 60 * 1000
+    : null;
+  // never prune the newest snapshot
+  while (index.length > 1 && (index.length > retention.keep || (cutoff != null && Date.parse(index[0].takenAt) < cutoff))) {
+    const entry = index.shift();
+    removed.push(entry.id);
+    for (const file of [`${entry.id}.json`, `${entry.id}.diff.json`]) {
+      try {
+        await unlink(path.join(dir, file));
+      } catch {
+        // already gone
+      }
+    }
+  }
+  return removed;
+}
+
+/**
+ * Stored diffs for every snapshot taken after `since` (ISO timestamp or
+ * snapshot id), oldest first.
+ */
+export async function changesSince(since, dir = SNAPSHOTS_DIR) {
+  let after = () => true;
+  if (isSnapshotId(since)) {
+    after = entry => entry.id > since;
+  } else if (since != null) {
+    const sinceMs = Date.parse(since);
+    if (Number.isNaN(sinceMs)) throw new Error(`invalid since value: ${since}`);
+    after = entry => Date.parse(entry.takenAt) > sinceMs;
+  }
+  const changes = [];
+  for (const entry of await listSnapshots(dir)) {
+    if (!after(entry)) continue;
+    const diff = await readSnapshotDiff(entry.id, dir);
+    if (diff) changes.push(diff);
+  }
+  return changes;
+}
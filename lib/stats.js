@@ -0,0 +1,231 @@
+/**
+ * lib/stats.js
+ *
+ * Aggregate statistics over the (v2) relay list for the /api/stats/* endpoints.
+ */
+
+function inc(map, key, by = 1) {
+  map.set(key, (map.get(key) || 0) + by);
+}
+
+/**
+ * Per-provider breakdown plus how much each country depends on a single provider.
+ *
+ * Returns {
+ *   totals: { relays, providers, capacityGbps },
+ *   providers: [{ provider, relays, active, owned, rented, capacityGbps, countries, cities, types, share }],
+ *   countryDependence: [{ countryCode, country, relays, providers, topProvider, topProviderRelays, share }]
+ * }
+ * `share` values are percentages rounded to one decimal. Providers are sorted
+ * by relay count, countries by their dependence on the top provider.
+ */
+export function providerStats(relays) {
+  const providers = new Map();
+  const countries = new Map();
+  let capacity = 0;
+
+  for (const r of relays) {
+    const name = r.provider || 'Unknown';
+    let p = providers.get(name);
+    if (!p) {
+      p = { provider: name, relays: 0, active: 0, owned: 0, rented: 0, capacityGbps: 0, countries: new Set(), cities: new Set(), types: new Map() };
+      providers.set(name, p);
+    }
+    p.relays += 1;
+    if (r.active) p.active += 1;
+    if ((r.ownership || '').toLowerCase() === 'mullvad') p.owned += 1;
+    else p.rented += 1;
+    if (typeof r.networkPortSpeed === 'number') {
+      p.capacityGbps += r.networkPortSpeed;
+      capacity += r.networkPortSpeed;
+    }
+    p.countries.add(r.countryCode);
+    p.cities.add(`${r.countryCode}|${r.city}`);
+    inc(p.types, r.type || 'unknown');
+
+    let c = countries.get(r.countryCode);
+    if (!c) {
+      c = { countryCode: r.countryCode, country: r.country, relays: 0, byProvider: new Map() };
+      countries.set(r.countryCode, c);
+    }
+    c.relays += 1;
+    inc(c.byProvider, name);
+  }
+
+  const pct = (n, d) => (d ? Math.round((n / d) * 1000) / 10 : 0);
+
+  const providerList = [...providers.values()]
+    .map(p => ({
+      provider: p.provider,
+      relays: p.relays,
+      active: p.active,
+      owned: p.owned,
+      rented: p.rented,
+      capacityGbps: p.capacityGbps,
+      countries: p.countries.size,
+      cities: p.cities.size,
+      types: Object.fromEntries(p.types),
+      share: pct(p.relays, relays.length)
+    }))
+    .sort((a, b) => (b.relays - a.relays) || a.provider.localeCompare(b.provider));
+
+  const countryDependence = [...countries.values()]
+    .map(c => {
+      const [topProvider, topProviderRelays] = [...c.byProvider].sort((a, b) => (b[1] - a[1]) || a[0].localeCompare(b[0]))[0];
+      return {
+        countryCode: c.countryCode,
+        country: c.country,
+        relays: c.relays,
+        providers: c.byProvider.size,
+        topProvider,
+        topProviderRelays,
+        share: pct(topProviderRelays, c.relays)
+      };
+    })
+    .sort((a, b) => (b.share - a.share) || (b.relays - a.relays) || a.country.localeCompare(b.country));
+
+  return {
+    totals: { relays: relays.length, providers: providerList.length, capacityGbps: capacity },
+    providers: providerList,
+    countryDependence
+  };
+}
+
+/**
+ * Per-country metrics used by the choropleth (#/countries):
+ * [{ countryCode, country, relays, active, activeRatio, owned, ownedShare, wireguard, capacityGbps }]
+ * Ratios are percentages rounded to one decimal.
+ */
+export function countryStats(relays) {
+  const countries = new Map();
+  for (const r of relays) {
+    let c = countries.get(r.countryCode);
+    if (!c) {
+      c = { countryCode: r.countryCode, country: r.country, relays: 0, active: 0, owned: 0, wireguard: 0, capacityGbps: 0 };
+      countries.set(r.countryCode, c);
+    }
+    c.relays += 1;
+    if (r.active) c.active += 1;
+    if ((r.ownership || '').toLowerCase() === 'mullvad') c.owned += 1;
+    if (r.type === 'wireguard') c.wireguard += 1;
+    if (typeof r.networkPortSpeed === 'number') c.capacityGbps += r.networkPortSpeed;
+  }
+  const pct = (n, d) => (d ? Math.round((n / d) * 1000) / 10 : 0);
+  return [...countries.values()]
+    .map(c => ({
+      countryCode: c.countryCode,
+      country: c.country,
+      relays: c.relays,
+      active: c.active,
+      activeRatio: pct(c.active, c.relays),
+      owned: c.owned,
+      ownedShare: pct(c.owned, c.relays),
+      wireguard: c.wireguard,
+      capacityGbps: c.capacityGbps
+    }))
+    .sort((a, b) => a.country.localeCompare(b.country));
+}
+
+/**
+ * Total network port speed (Gbps) grouped by country, provider, ownership and
+ * city. Each group is { relays, capacityGbps, activeCapacityGbps, ... } and
+ * sorted by capacity; relays without a port speed count as 0 Gbps and are
+ * tallied in totals.unknownSpeed.
+ *
+ * Returns {
+ *   totals: { relays, capacityGbps, activeCapacityGbps, unknownSpeed },
+ *   countries: [{ countryCode, country, ... }],
+ *   providers: [{ provider, ... }],
+ *   ownership: [{ ownership, ... }],
+ *   cities: [{ countryCode, country, city, lat, lon, ... }]
+ * }
+ */
+export function capacityStats(relays) {
+  const groups = { countries: new Map(), providers: new Map(), ownership: new Map(), cities: new Map() };
+  const totals = { relays: 0, capacityGbps: 0, activeCapacityGbps: 0, unknownSpeed: 0 };
+
+  const add = (map, key, init, speed, active) => {
+    let g = map.get(key);
+    if (!g) {
+      g = { ...init, relays: 0, capacityGbps: 0, activeCapacityGbps: 0 };
+      map.set(key, g);
+    }
+    g.relays += 1;
+    g.capacityGbps += speed;
+    if (active) g.activeCapacityGbps += speed;
+  };
+
+  for (const r of relays) {
+    const known = typeof r.networkPortSpeed === 'number';
+    const speed = known ? r.networkPortSpeed : 0;
+    const active = r.active === true;
+    totals.relays += 1;
+    totals.capacityGbps += speed;
+    if (active) totals.activeCapacityGbps += speed;
+    if (!known) totals.unknownSpeed += 1;
+
+    const ownership = (r.ownership || '').toLowerCase() === 'mullvad' ? 'Mullvad' : 'Rented';
+    add(groups.countries, r.countryCode, { countryCode: r.countryCode, country: r.country }, speed, active);
+    add(groups.providers, r.provider || 'Unknown', { provider: r.provider || 'Unknown' }, speed, active);
+    add(groups.ownership, ownership, { ownership }, speed, active);
+    add(groups.cities, `${r.countryCode}|${r.city}`,
+      { countryCode: r.countryCode, country: r.country, city: r.city, lat: r.lat, lon: r.lon }, speed, active);
+  }
+
+  const sorted = map => [...map.values()].sort((a, b) => (b.capacityGbps - a.capacityGbps) || (b.relays - a.relays));
+  return {
+    totals,
+    countries: sorted(groups.countries),
+    providers: sorted(groups.providers),
+    ownership: sorted(groups.ownership),
+    cities: sorted(groups.cities)
+  };
+}
+
+/**
+ * Relays rolled up by continent or subregion (`by`, one of REGION_GROUPINGS
+ * in lib/countries.js) using the country reference from loadCountryReference.
+ * Relays whose country is not in the reference, or has no subregion, are
+ * grouped under 'Unknown'.
+ *
+ * Returns {
+ *   by,
+ *   totals: { relays, regions },
+ *   regions: [{ region, relays, active, owned, rented, capacityGbps, countries, cities, types, share }]
+ * }
+ * `share` is the percentage of all relays, rounded to one decimal. Regions
+ * are sorted by relay count.
+ */
+export function regionStats(relays, reference, by) {
+  const regions = new Map();
+  for (const r of relays) {
+    const country = reference.get(String(r.countryCode || '').toUpperCase());
+    const name = (country && country[by]) || 'Unknown';
+    let g = regions.get(name);
+    if (!g) {
+      g = { region: name, relays: 0, active: 0, owned: 0, rented: 0, capacityGbps: 0, countries: new Set(), cities: new Set(), types: new Map() };
+      regions.set(name, g);
+    }
+    g.relays += 1;
+    if (r.active) g.active += 1;
+    if ((r.ownership || '').toLowerCase() === 'mullvad') g.owned += 1;
+    else g.rented += 1;
+    if (typeof r.networkPortSpeed === 'number') g.capacityGbps += r.networkPortSpeed;
+    g.countries.add(r.countryCode);
+    g.cities.add(`${r.countryCode}|${r.city}`);
+    inc(g.types, r.type || 'unknown');
+  }
+
+  const pct = (n, d) => (d ? Math.round((n / d) * 1000) / 10 : 0);
+  const regionList = [...regions.values()]
+    .map(g => ({
+      ...g,
+      countries: g.countries.size,
+      cities: g.cities.size,
+      types: Object.fromEntries(g.types),
+      share: pct(g.relays, relays.length)
+    }))
+    .sort((a, b) => (b.relays - a.relays) || a.region.localeCompare(b.region));
+
+  return { by, totals: { relays: relays.length, regions: regionList.length }, regions: regionList };
+}
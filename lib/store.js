@@ -0,0 +1,116 @@
+/**
+ * lib/store.js
+ *
+ * In-memory copy of data/relays.json shared by all server routes.
+ *
+ * The parsed dataset is swapped atomically (a single reference assignment),
+ * either by the refresh scheduler after an ingest or by the file watcher when
+ * `npm run ingest` rewrites the file from outside the server. Every swap emits
+ * a 'change' event: { previous, current, source }.
+ */
+
+import { EventEmitter } from 'events';
+import { readFile, stat } from 'fs/promises';
+import { unwatchFile, watchFile } from 'fs';
+import { readDataset } from './schema.js';
+import { ROOT_RELAYS_PATH } from './ingest.js';
+
+const EMPTY_DATASET = Object.freeze({ schemaVersion: 2, generatedAt: null, relays: [] });
+
+export class DatasetStore extends EventEmitter {
+  constructor(file = ROOT_RELAYS_PATH) {
+    super();
+    this.file = file;
+    this.dataset = EMPTY_DATASET;
+    this.loadedAt = null;
+    this.mtimeMs = null;
+    this.lastLoadError = null;
+    this.watching = false;
+  }
+
+  get relays() {
+    return this.dataset.relays;
+  }
+
+  /**
+   * (Re)load the file from disk. A missing file yields an empty dataset; an
+   * unreadable one keeps the current dataset and rethrows.
+   * Skips the parse when the file's mtime has not changed unless `force`.
+   */
+  async load({ force = false, source = 'file' } = {}) {
+    let mtimeMs = null;
+    try {
+      mtimeMs = (await stat(this.file)).mtimeMs;
+    } catch (err) {
+      if (err && err.code === 'ENOENT') {
+        this.mtimeMs = null;
+        if (this.dataset !== EMPTY_DATASET) this.set(EMPTY_DATASET, { source });
+        return this.dataset;
+      }
+      throw err;
+    }
+    if (!force && this.loadedAt && mtimeMs === this.mtimeMs) return this.dataset;
+
+    try {
+      const contents = await readFile(this.file, 'utf8');
+      const dataset = readDataset(JSON.parse(contents));
+      this.mtimeMs = mtimeMs;
+      this.lastLoadError = null;
+      this.set(dataset, { source });
+    } catch (err) {
+      this.lastLoadError = { at: new Date().toISOString(), message: err && err.message ? err.message : String(err) };
+      throw err;
+    }
+    return this.dataset;
+  }
+
+  /**
+   * Swap in a new dataset and notify listeners.
+   */
+  set(dataset, { source = 'refresh' } = {}) {
+    const previous = this.dataset;
+    this.dataset = dataset;
+    this.loadedAt = new Date().toISOString();
+    this.emit('change', { previous, current: dataset, source });
+  }
+
+  /**
+   * Record the file's current mtime after the caller wrote it and swapped the
+   * dataset in itself, so the watcher does not parse the same file again.
+   */
+  async markWritten() {
+    try {
+      this.mtimeMs = (await stat(this.file)).mtimeMs;
+    } catch {
+      this.mtimeMs = null;
+    }
+  }
+
+  /**
+   * Age of the data in seconds based on the dataset's generatedAt (null if unknown).
+   */
+  ageSeconds(now = Date.now()) {
+    const t = Date.parse(this.dataset.generatedAt || '');
+    return Number.isNaN(t) ? null : Math.max(0, Math.round((now - t) / 1000));
+  }
+
+  /**
+   * Poll the file for external rewrites (stat-based, so it also sees renames).
+   */
+  watch(intervalMs = 5000) {
+    if (this.watching) return;
+    this.watching = true;
+    watchFile(this.file, { interval: intervalMs }, curr => {
+      if (curr.mtimeMs === this.mtimeMs) return;
+      this.load({ source: 'file' }).catch(err => {
+        console.error('Failed to reload relays dataset:', err && err.message ? err.message : err);
+      });
+    });
+  }
+
+  unwatch() {
+    if (!this.watching) return;
+    unwatchFile(this.file);
+    this.watching = false;
+  }
+}
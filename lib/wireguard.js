@@ -0,0 +1,117 @@
+/**
+ * lib/wireguard.js
+ *
+ * wg-quick configuration templates for Mullvad WireGuard relays.
+ *
+ * The relay list has everything needed for the [Peer] section (public key,
+ * entry addresses, multihop port); the client private key and tunnel
+ * addresses are specific to a device registered with a Mullvad account, so
+ * they are left as placeholders for the user to fill in.
+ *
+ *  - single hop: Endpoint = <relay ipv4AddrIn>:51820, PublicKey = relay key
+ *  - multihop:   Endpoint = <entry relay ipv4AddrIn>:<exit multihopPort>,
+ *                PublicKey = exit relay key (the entry forwards to the exit)
+ *
+ * Only active WireGuard relays can be used; anything else throws a
+ * WireGuardConfigError carrying the HTTP status to answer with.
+ */
+
+export const WIREGUARD_PORT = 51820;
+// Mullvad's in-tunnel DNS resolver
+export const MULLVAD_DNS = '10.64.0.1';
+
+export const PLACEHOLDERS = {
+  privateKey: '<CLIENT_PRIVATE_KEY>',
+  ipv4: '<CLIENT_IPV4_ADDRESS>',
+  ipv6: '<CLIENT_IPV6_ADDRESS>'
+};
+
+export class WireGuardConfigError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'WireGuardConfigError';
+    this.status = status;
+  }
+}
+
+/**
+ * Why `r` cannot be used as a WireGuard relay, or null when it can.
+ * Returns { message, status }.
+ */
+export function wireguardUnsuitability(r) {
+  if (r.type !== 'wireguard') return { message: `${r.id} is not a WireGuard relay (type ${r.type})`, status: 400 };
+  if (r.active !== true) return { message: `${r.id} is currently inactive`, status: 409 };
+  if (!r.pubkey || !r.ipv4AddrIn) return { message: `${r.id} has no public key or entry address in the relay list`, status: 409 };
+  return null;
+}
+
+function assertUsable(r, id, role) {
+  if (!r) throw new WireGuardConfigError(`unknown ${role} relay "${id}"`, 404);
+  const problem = wireguardUnsuitability(r);
+  if (problem) throw new WireGuardConfigError(problem.message, problem.status);
+}
+
+function place(r) {
+  return [r.city, r.country].filter(Boolean).join(', ');
+}
+
+function endpointHost(r, ipv6) {
+  if (!ipv6) return r.ipv4AddrIn;
+  if (!r.ipv6AddrIn) throw new WireGuardConfigError(`${r.id} has no IPv6 entry address`, 409);
+  return `[${r.ipv6AddrIn}]`;
+}
+
+/**
+ * Look up and validate the relays for a config. `relays` is the v2 relay list,
+ * `exitId` the relay to connect to and `viaId` an optional multihop entry.
+ * Returns { exit, entry } (entry null for single hop).
+ */
+export function resolveWireGuardRelays(relays, exitId, viaId = null) {
+  const byId = id => relays.find(r => r.id === id);
+  const exit = byId(exitId);
+  assertUsable(exit, exitId, 'exit');
+  if (!viaId) return { exit, entry: null };
+
+  const entry = byId(viaId);
+  assertUsable(entry, viaId, 'entry');
+  if (entry.id === exit.id) throw new WireGuardConfigError('multihop entry and exit must be different relays');
+  if (!exit.multihopPort) throw new WireGuardConfigError(`${exit.id} has no multihop port`, 409);
+  return { exit, entry };
+}
+
+/**
+ * Render the wg-quick config text for validated relays.
+ */
+export function wireguardConfig(exit, { entry = null, ipv6 = false, generatedAt = null } = {}) {
+  const endpoint = entry
+    ? `${endpointHost(entry, ipv6)}:${exit.multihopPort}`
+    : `${endpointHost(exit, ipv6)}:${WIREGUARD_PORT}`;
+  const header = [
+    `# Mullvad WireGuard relay ${exit.id} (${place(exit)})`,
+    entry ? `# Multihop: enters at ${entry.id} (${place(entry)}), exits at ${exit.id}` : null,
+    generatedAt ? `# Relay list from ${generatedAt}` : null,
+    '# Replace the placeholders with the private key and tunnel addresses of a',
+    '# device registered with your Mullvad account, then run: wg-quick up <file>'
+  ].filter(Boolean);
+
+  return `${header.join('\n')}
+
+[Interface]
+PrivateKey = ${PLACEHOLDERS.privateKey}
+Address = ${PLACEHOLDERS.ipv4}/32, ${PLACEHOLDERS.ipv6}/128
+DNS = ${MULLVAD_DNS}
+
+[Peer]
+PublicKey = ${exit.pubkey}
+AllowedIPs = 0.0.0.0/0, ::/0
+Endpoint = ${endpoint}
+`;
+}
+
+/**
+ * File name for a config. wg-quick uses it as the interface name, which Linux
+ * limits to 15 characters, so users may need to shorten multihop names.
+ */
+export function wireguardConfigFilename(exit, entry = null) {
+  return entry ? `${exit.id}-via-${entry.id}.conf` : `${exit.id}.conf`;
+}
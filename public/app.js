@@ -1,23 +1,91 @@
 /* Mullvad Viz - frontend script
-   - Hash-based navigation: #/map, #/ownership, #/protocols
+   - Hash-based navigation: #/map, #/ownership, #/protocols, #/reliability
    - Fetches data from /api/relays and renders:
      - Map (Leaflet)
      - Ownership chart (Chart.js)
      - Protocols chart (Chart.js)
+     - Least reliable relays table (/api/reliability)
+   - Subscribes to /api/events (SSE) and applies relay changes in place
+   - Map filter panel; filters, center and zoom are kept in the hash,
+     e.g. #/map?country=DE&type=wireguard&z=5&c=52,13
+   - Relay detail page (#/relay/:id) with a mini-map and nearby alternatives
+   - Provider analytics (#/providers, /api/stats/providers)
+   - Capacity: map mode sizing cities by port speed, clusters labelled with summed
+     capacity, and the #/capacity charts (/api/stats/capacity)
+   - Country choropleth (#/countries) from the bundled boundaries at /api/geo/countries
+   - WireGuard config downloads (popup button, zip of the filtered relays)
+   - Coverage gap overlay (/api/coverage/grid) in the map's layer control
+   - Bridge, SOCKS5 and v2ray layers in the same layer control
+   - Nearest relays to a clicked point (/api/relays/nearest)
+   - Multihop planner in the map panel (/api/multihop/suggest), route drawn as a geodesic arc
+   - Incidents feed (#/incidents, /api/incidents) from the relays' status messages;
+     offline relays with a message get an amber ring on the map
+   - City location edit mode: drag a city to its correct spot and save it as a
+     coordinate override (/api/coordinates, needs the server's token)
+   - Relays placed on a country centroid (no city coordinates, see coordSource)
+     get a dashed, hollow marker
+   - Ownership and protocol charts can be grouped by continent or subregion
+     (country regions from /api/countries)
 */
 
 let mapInstance;
 let markersLayer;
 let ownershipChartInstance;
 let protocolChartInstance;
+let providerChartInstance;
+let capacityCountryChartInstance;
+let capacityProviderChartInstance;
+let capacityOwnershipChartInstance;
 
-// Fetch relays data from backend
+// Current relays (v2) and their map markers, keyed by relay id
+let relaysById = new Map();
+const markersById = new Map();
+
+// Active map filters (keys from FILTER_KEYS, string values) and map position
+const FILTER_KEYS = ['country', 'city', 'type', 'ownership', 'provider', 'active', 'daita', 'stboot'];
+let filters = {};
+let mapPosition = null; // { z, c: [lat, lon] } once known
+
+// Optional overlays listed in the map's layer control
+let layerControl;
+let coverageLayer;
+// Capacity mode replaces the relay markers with per-city capacity circles
+let capacityMode = false;
+let capacityLayer;
+const infraLayers = {};
+
+// Nearest relays mode (next map click picks the origin) and its result layer
+let nearestMode = false;
+let nearestLayer;
+
+// Multihop planner: current suggestions and the layer the chosen route is drawn on
+let plannerSuggestions = [];
+let plannerLayer;
+
+// Coordinate edit mode state
+let editMode = false;
+let editLayer;
+let coordinateOverrides = new Map(); // override key -> override
+let pendingEdit = null; // { city, marker } of the city being moved
+
+// Relay detail view mini-map
+let detailMapInstance;
+let detailMarkerLayer;
+
+// Country choropleth
+let choroplethMapInstance;
+let choroplethLayer;
+let choroplethLegend;
+let countryBoundaries;
+
+// Fetch relays data from backend (schema v2 envelope; bare v1 arrays still accepted)
 async function fetchRelays() {
   try {
-    const res = await fetch('/api/relays');
+    const res = await fetch('/api/relays?schema=2');
     if (res.ok) {
       const data = await res.json();
-      return Array.isArray(data) ? data : [];
+      if (Array.isArray(data)) return data;
+      return data && Array.isArray(data.relays) ? data.relays : [];
     }
   } catch (e) {
     console.warn('Failed to fetch relays data:', e);
@@ -25,6 +93,110 @@ async function fetchRelays() {
   return [];
 }
 
+// Escape API-provided strings before interpolating them into popup HTML
+function escapeHtml(value) {
+  return String(value == null ? '' : value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+function yesNo(value) {
+  if (typeof value !== 'boolean') return null;
+  return value ? 'Yes' : 'No';
+}
+
+// Optional v2 metadata rows for the popup; rows with no value are omitted
+function relayDetailRows(r) {
+  const rows = [
+    ['Type', r.type],
+    ['Provider', r.provider],
+    ['IPv4', r.ipv4AddrIn],
+    ['IPv6', r.ipv6AddrIn],
+    ['Port speed', r.networkPortSpeed != null ? `${r.networkPortSpeed} Gbps` : null],
+    ['stboot', yesNo(r.stboot)],
+    ['DAITA', yesNo(r.daita)],
+    ['Multihop port', r.multihopPort],
+    ['SOCKS5', r.socks && r.socks.name ? `${r.socks.name}${r.socks.port ? `:${r.socks.port}` : ''}` : null],
+    ['v2ray', r.ipv4V2ray]
+  ];
+  return rows
+    .filter(([, v]) => v != null && v !== '')
+    .map(([k, v]) => `<div><strong>${k}:</strong> ${escapeHtml(v)}</div>`)
+    .join('');
+}
+
+// Inline SVG sparkline of a relay's active flag across snapshots (gaps = absent)
+function sparklineSvg(series, width = 180, height = 24) {
+  if (!Array.isArray(series) || series.length === 0) return '';
+  const step = series.length > 1 ? width / (series.length - 1) : width;
+  const y = v => (v ? 3 : height - 3);
+  let d = '';
+  let penDown = false;
+  series.forEach((p, i) => {
+    if (p.active == null) {
+      penDown = false;
+      return;
+    }
+    const x = (i * step).toFixed(1);
+    d += `${penDown ? 'L' : 'M'}${x},${y(p.active)} `;
+    penDown = true;
+  });
+  const dots = series
+    .map((p, i) => (p.active === false ? `<circle cx="${(i * step).toFixed(1)}" cy="${y(false)}" r="2" fill="#dc2626"/>` : ''))
+    .join('');
+  return `<svg class="sparkline" width="${width}" height="${height}" viewBox="-3 0 ${width + 6} ${height}">`
+    + `<path d="${d.trim()}" fill="none" stroke="#10b981" stroke-width="1.5"/>${dots}</svg>`;
+}
+
+function formatDuration(ms) {
+  if (ms == null) return 'n/a';
+  const hours = ms / 3600000;
+  if (hours < 1) return `${Math.round(ms / 60000)} min`;
+  if (hours < 48) return `${hours.toFixed(1)} h`;
+  return `${(hours / 24).toFixed(1)} d`;
+}
+
+async function fetchRelayHistory(id) {
+  try {
+    const res = await fetch(`/api/relays/${encodeURIComponent(id)}/history`);
+    if (res.ok) return await res.json();
+  } catch (e) {
+    console.warn('Failed to fetch relay history:', e);
+  }
+  return null;
+}
+
+// Fill the popup's history placeholder once the popup is opened
+async function loadPopupHistory(popup, id) {
+  const el = popup.getElement() && popup.getElement().querySelector('.popup-history');
+  if (!el || el.dataset.loaded) return;
+  el.dataset.loaded = '1';
+  const h = await fetchRelayHistory(id);
+  if (!h || h.samples < 2) {
+    el.textContent = 'Not enough snapshots for availability history yet.';
+    return;
+  }
+  el.innerHTML = `
+    ${sparklineSvg(h.series)}
+    <div><strong>Availability:</strong> ${h.availability}% over ${h.samples} snapshots${h.flapping ? ' <span class="badge-flapping">flapping</span>' : ''}</div>
+    <div><strong>State flips:</strong> ${h.flips} · <strong>Longest outage:</strong> ${h.longestOutage ? formatDuration(h.longestOutage.durationMs) + (h.longestOutage.ongoing ? ' (ongoing)' : '') : 'none'}</div>
+  `;
+}
+
+function statusMessagesHtml(r) {
+  if (!Array.isArray(r.statusMessages) || r.statusMessages.length === 0) return '';
+  const items = r.statusMessages
+    .map(m => {
+      const seen = m.firstSeenAt || m.timestamp;
+      return `<li>${escapeHtml(m.message)}${seen ? ` <em>(${escapeHtml(seen.slice(0, 10))})</em>` : ''}</li>`;
+    })
+    .join('');
+  return `<div style="margin-top:6px;"><strong>Status messages:</strong><ul class="popup-messages">${items}</ul><a href="#/incidents">All incidents →</a></div>`;
+}
+
  // Initialize Leaflet map
 function ensureMap() {
   if (!mapInstance) {
@@ -34,72 +206,184 @@ function ensureMap() {
     }).addTo(mapInstance);
     // Use marker cluster group for scalable rendering of many servers
     // chunkedLoading improves performance for very large datasets
-    markersLayer = L.markerClusterGroup ? L.markerClusterGroup({ chunkedLoading: true }) : L.layerGroup();
+    markersLayer = L.markerClusterGroup
+      ? L.markerClusterGroup({ chunkedLoading: true, iconCreateFunction: capacityClusterIcon })
+      : L.layerGroup();
     markersLayer.addTo(mapInstance);
+    capacityLayer = L.layerGroup();
+    coverageLayer = L.layerGroup();
+    const overlays = { Relays: markersLayer };
+    Object.entries(INFRA_LAYERS).forEach(([key, def]) => {
+      infraLayers[key] = L.layerGroup();
+      overlays[def.label] = infraLayers[key];
+    });
+    overlays['Coverage gaps'] = coverageLayer;
+    layerControl = L.control.layers(null, overlays, { collapsed: false }).addTo(mapInstance);
+    mapInstance.on('overlayadd', e => {
+      if (e.layer === coverageLayer) loadCoverage();
+    });
+    // keep center/zoom in the hash so the view can be shared
+    mapInstance.on('moveend', () => {
+      const c = mapInstance.getCenter();
+      mapPosition = { z: mapInstance.getZoom(), c: [c.lat, c.lng] };
+      syncMapHash();
+    });
   }
   return mapInstance;
 }
 
- // Render markers for relays
-function renderMap(relays) {
-  const map = ensureMap();
-  // markerClusterGroup and LayerGroup both support clearLayers()
-  if (markersLayer && typeof markersLayer.clearLayers === 'function') markersLayer.clearLayers();
+ // Parse a relay's coordinates; null for unresolved or explicit 0,0 fallbacks
+function relayLatLng(r) {
+  if (r.lat == null || r.lon == null) return null;
+  const lat = Number(r.lat);
+  const lon = Number(r.lon);
+  if (!Number.isFinite(lat) || !Number.isFinite(lon) || (lat === 0 && lon === 0)) return null;
+  return [lat, lon];
+}
 
-  if (!Array.isArray(relays)) return;
+function isRelayActive(r) {
+  return (typeof r.active === 'boolean') ? r.active : true;
+}
 
-  const coords = [];
+// Placed on its country's centroid because the city has no coordinates
+function isCentroidPlaced(r) {
+  return r.coordSource === 'centroid';
+}
 
-  relays.forEach(r => {
-    // Skip relays with unresolved coordinates (null) or invalid numbers.
-    if (r.lat == null || r.lon == null) return;
-    const lat = Number(r.lat);
-    const lon = Number(r.lon);
-    // Skip non-finite or explicit 0,0 fallbacks.
-    if (!Number.isFinite(lat) || !Number.isFinite(lon) || (lat === 0 && lon === 0)) return;
-
-    const ownership = (r.ownership || 'Mullvad').toString();
-    const isActive = (typeof r.active === 'boolean') ? r.active : true;
-
-    // color by ownership when active, gray when offline
-    const color = !isActive ? '#9ca3af' : (ownership.toLowerCase() === 'mullvad' ? '#1f78b4' : '#6b7280');
-    const fillOpacity = isActive ? 0.95 : 0.5;
-    const radius = isActive ? 6 : 5;
-
-    // Create a small circle marker; wrap in a regular Marker for clustering compatibility
-    const circle = L.circleMarker([lat, lon], {
-      radius: radius,
-      color: color,
-      fillColor: color,
-      fillOpacity: fillOpacity,
-      weight: 1,
-      opacity: isActive ? 1 : 0.7
-    });
+// How each coordSource (lib/schema.js) is described in popups and the detail page
+const COORD_SOURCE_LABELS = {
+  override: 'coordinate override',
+  cityCode: 'city code',
+  cityName: 'city name',
+  friendlyName: 'city code (friendly name)',
+  centroid: 'country centroid (approximate)',
+  unresolved: 'unresolved'
+};
 
-    // Use a lightweight tooltip (shows on hover) and a richer popup on click
-    const tooltipText = `${r.id || r.city || 'Server'} — ${r.country || ''} ${isActive ? '• Online' : '• Offline'}`;
-    circle.bindTooltip(tooltipText, { direction: 'top', offset: [0, -6], permanent: false, opacity: 0.9 });
+function hasStatusMessage(r) {
+  return Array.isArray(r.statusMessages) && r.statusMessages.length > 0;
+}
+
+// color by ownership when active, gray when offline; offline relays with a
+// status message (usually a known outage or decommission) get an amber ring;
+// relays on a country centroid are hollow with a dashed outline
+function markerStyle(r) {
+  const ownership = (r.ownership || 'Mullvad').toString();
+  const isActive = isRelayActive(r);
+  const color = !isActive ? '#9ca3af' : (ownership.toLowerCase() === 'mullvad' ? '#1f78b4' : '#6b7280');
+  const flagged = !isActive && hasStatusMessage(r);
+  const approximate = isCentroidPlaced(r);
+  return {
+    radius: isActive ? 6 : 5,
+    color: flagged ? '#f59e0b' : (approximate ? '#b45309' : color),
+    fillColor: color,
+    fillOpacity: approximate ? 0.15 : (isActive ? 0.95 : 0.5),
+    weight: flagged || approximate ? 2 : 1,
+    dashArray: approximate ? '3 3' : null,
+    opacity: isActive || flagged || approximate ? 1 : 0.7
+  };
+}
 
-    const popupContent = `
+function tooltipText(r) {
+  const message = !isRelayActive(r) && hasStatusMessage(r) ? ' (status message)' : '';
+  const approximate = isCentroidPlaced(r) ? ' (approximate location)' : '';
+  return `${r.id || r.city || 'Server'} — ${r.country || ''} ${isRelayActive(r) ? '• Online' : '• Offline'}${message}${approximate}`;
+}
+
+function popupHtml(r) {
+  const ownership = (r.ownership || 'Mullvad').toString();
+  return `
       <div style="font-size:13px;">
-        <strong style="display:block;margin-bottom:6px;">${r.id || r.city || 'Server'}</strong>
-        <div>${r.city ? `${r.city}` : ''} ${r.country ? (r.countryCode ? `(${r.countryCode})` : '') : ''}</div>
-        <div style="margin-top:6px;"><strong>Ownership:</strong> ${ownership}</div>
-        <div><strong>Status:</strong> ${isActive ? 'Online' : 'Offline'}</div>
-        <div><strong>Protocols:</strong> ${Array.isArray(r.protocols) && r.protocols.length ? r.protocols.join(', ') : 'N/A'}</div>
+        <strong style="display:block;margin-bottom:6px;">${escapeHtml(r.id || r.city || 'Server')}</strong>
+        <div>${r.city ? `${escapeHtml(r.city)}` : ''} ${r.country ? (r.countryCode ? `(${escapeHtml(r.countryCode)})` : '') : ''}</div>
+        <div style="margin-top:6px;"><strong>Ownership:</strong> ${escapeHtml(ownership)}</div>
+        <div><strong>Status:</strong> ${isRelayActive(r) ? 'Online' : 'Offline'}</div>
+        <div><strong>Protocols:</strong> ${Array.isArray(r.protocols) && r.protocols.length ? escapeHtml(r.protocols.join(', ')) : 'N/A'}</div>
+        ${isCentroidPlaced(r) ? '<div class="approximate">Approximate location: the city has no coordinates yet, so the relay is shown at the centre of its country.</div>' : ''}
+        ${relayDetailRows(r)}
+        ${statusMessagesHtml(r)}
+        <div class="popup-history">Loading availability…</div>
+        ${r.id ? `<div style="margin-top:6px;"><a href="${relayHref(r.id)}">Relay details →</a></div>` : ''}
+        ${canDownloadConfig(r) ? `<a class="popup-download" href="${wireguardConfigHref(r.id)}" download>Download config</a>` : ''}
       </div>
     `;
-    circle.bindPopup(popupContent, { maxWidth: 320 });
+}
+
+// WireGuard config templates are only generated for active WireGuard relays
+function canDownloadConfig(r) {
+  return !!r.id && r.type === 'wireguard' && isRelayActive(r);
+}
+
+function wireguardConfigHref(id) {
+  return `/api/wireguard/config?relay=${encodeURIComponent(id)}`;
+}
+
+// Create a small circle marker with a hover tooltip and a richer popup on click
+function createRelayMarker(r, latlng) {
+  // capacityGbps is read by capacityClusterIcon
+  const circle = L.circleMarker(latlng, { ...markerStyle(r), capacityGbps: r.networkPortSpeed || 0 });
+  circle.bindTooltip(tooltipText(r), { direction: 'top', offset: [0, -6], permanent: false, opacity: 0.9 });
+  circle.bindPopup(popupHtml(r), { maxWidth: 320 });
+  if (r.id) circle.on('popupopen', e => loadPopupHistory(e.popup, r.id));
+  return circle;
+}
+
+function addRelayMarker(r) {
+  const latlng = relayLatLng(r);
+  if (!latlng || !matchesFilters(r)) return null;
+  const circle = createRelayMarker(r, latlng);
+  // Add to cluster / layer group
+  if (markersLayer && typeof markersLayer.addLayer === 'function') markersLayer.addLayer(circle);
+  else circle.addTo(mapInstance);
+  if (r.id) markersById.set(r.id, circle);
+  return circle;
+}
+
+function removeRelayMarker(id) {
+  const circle = markersById.get(id);
+  if (!circle) return;
+  if (markersLayer && typeof markersLayer.removeLayer === 'function') markersLayer.removeLayer(circle);
+  else circle.remove();
+  markersById.delete(id);
+}
+
+// Restyle an existing marker after a status change (recreate if it moved)
+function updateRelayMarker(r) {
+  const circle = markersById.get(r.id);
+  const latlng = relayLatLng(r);
+  if (!circle || !latlng) {
+    removeRelayMarker(r.id);
+    addRelayMarker(r);
+    return;
+  }
+  const current = circle.getLatLng();
+  if (!matchesFilters(r) || current.lat !== latlng[0] || current.lng !== latlng[1]) {
+    removeRelayMarker(r.id);
+    addRelayMarker(r);
+    return;
+  }
+  circle.setStyle(markerStyle(r));
+  circle.setTooltipContent(tooltipText(r));
+  circle.setPopupContent(popupHtml(r));
+}
+
+ // Render markers for relays
+function renderMap(relays, { fit = true } = {}) {
+  const map = ensureMap();
+  // markerClusterGroup and LayerGroup both support clearLayers()
+  if (markersLayer && typeof markersLayer.clearLayers === 'function') markersLayer.clearLayers();
+  markersById.clear();
 
-    // Add to cluster / layer group
-    if (markersLayer && typeof markersLayer.addLayer === 'function') markersLayer.addLayer(circle);
-    else circle.addTo(map);
+  if (!Array.isArray(relays)) return;
 
-    coords.push([lat, lon]);
+  const coords = [];
+  relays.forEach(r => {
+    // Skip relays with unresolved coordinates (null) or invalid numbers.
+    if (addRelayMarker(r)) coords.push(relayLatLng(r));
   });
 
   // Fit bounds if possible with padding and a conservative max zoom
-  if (coords.length) {
+  if (fit && coords.length) {
     const bounds = coords.map(c => L.latLng(c[0], c[1]));
     if (bounds.length > 0) {
       try {
@@ -111,25 +395,95 @@ function renderMap(relays) {
   }
 }
 
-// Ownership chart
-function renderOwnership(relays) {
-  const counts = { Mullvad: 0, Rented: 0 };
+// Ownership and protocol charts: totals, or one bar per continent / subregion
+// when the view's "Group by" select is set (regions from /api/countries)
+let countryReference = null;
+
+async function fetchCountryReference() {
+  if (countryReference) return countryReference;
+  const res = await fetch('/api/countries');
+  if (!res.ok) throw new Error(`HTTP ${res.status}`);
+  countryReference = new Map((await res.json()).countries.map(c => [c.alpha2, c]));
+  return countryReference;
+}
+
+function regionOf(r, by) {
+  const country = countryReference && countryReference.get((r.countryCode || '').toUpperCase());
+  return (country && country[by]) || 'Unknown';
+}
+
+// { labels, datasets } with one label per region (most relays first) and one dataset per series
+function groupedChartData(relays, by, series) {
+  const regions = new Map();
   relays.forEach(r => {
-    const v = (r.ownership || 'Mullvad').toString().toLowerCase();
-    if (v === 'mullvad') counts.Mullvad += 1;
-    else if (v === 'rented') counts.Rented += 1;
-    else counts.Mullvad += 1;
+    const region = regionOf(r, by);
+    if (!regions.has(region)) regions.set(region, []);
+    regions.get(region).push(r);
   });
+  const labels = [...regions.keys()].sort((a, b) => (regions.get(b).length - regions.get(a).length) || a.localeCompare(b));
+  return {
+    labels,
+    datasets: series.map(s => ({
+      label: s.label,
+      data: labels.map(l => regions.get(l).filter(s.match).length),
+      backgroundColor: s.color
+    }))
+  };
+}
 
+// Bar chart of groupedChartData; `stacked` when the series are exclusive
+function groupedChart(canvasId, data, stacked) {
+  const ctx = document.getElementById(canvasId).getContext('2d');
+  return new Chart(ctx, {
+    type: 'bar',
+    data,
+    options: {
+      responsive: true,
+      maintainAspectRatio: false,
+      plugins: { legend: { position: 'bottom' } },
+      scales: {
+        x: { stacked },
+        y: { stacked, beginAtZero: true }
+      }
+    }
+  });
+}
+
+// Anything that is not explicitly rented counts as Mullvad-owned
+const OWNERSHIP_SERIES = [
+  { label: 'Mullvad', color: '#1f78b4', match: r => (r.ownership || 'Mullvad').toString().toLowerCase() !== 'rented' },
+  { label: 'Rented', color: '#6b7280', match: r => (r.ownership || 'Mullvad').toString().toLowerCase() === 'rented' }
+];
+
+// Ownership chart
+function renderOwnership(relays) {
+  const by = document.getElementById('ownership-group').value;
+  if (by) {
+    const data = groupedChartData(relays, by, OWNERSHIP_SERIES);
+    if (ownershipChartInstance) {
+      ownershipChartInstance.data.labels = data.labels;
+      ownershipChartInstance.data.datasets = data.datasets;
+      ownershipChartInstance.update();
+    } else {
+      ownershipChartInstance = groupedChart('ownershipChart', data, true);
+    }
+    return;
+  }
+
+  const counts = OWNERSHIP_SERIES.map(s => relays.filter(s.match).length);
+  if (ownershipChartInstance) {
+    ownershipChartInstance.data.datasets[0].data = counts;
+    ownershipChartInstance.update();
+    return;
+  }
   const ctx = document.getElementById('ownershipChart').getContext('2d');
-  if (ownershipChartInstance) ownershipChartInstance.destroy();
   ownershipChartInstance = new Chart(ctx, {
     type: 'doughnut',
     data: {
-      labels: ['Mullvad', 'Rented'],
+      labels: OWNERSHIP_SERIES.map(s => s.label),
       datasets: [{
-        data: [counts.Mullvad, counts.Rented],
-        backgroundColor: ['#1f78b4', '#6b7280']
+        data: counts,
+        backgroundColor: OWNERSHIP_SERIES.map(s => s.color)
       }]
     },
     options: {
@@ -140,28 +494,50 @@ function renderOwnership(relays) {
   });
 }
 
-// Protocols chart
+// Protocols chart: tunnel protocols plus the circumvention infrastructure (bridges, SOCKS5, v2ray)
+const PROTOCOL_SERIES = [
+  { label: 'OpenVPN', color: '#3b82f6', match: r => hasProtocol(r, 'openvpn') },
+  { label: 'WireGuard', color: '#10b981', match: r => hasProtocol(r, 'wireguard') },
+  { label: 'Bridge', color: '#a855f7', match: r => hasProtocol(r, 'bridge') },
+  { label: 'SOCKS5', color: '#f59e0b', match: r => INFRA_LAYERS.socks.match(r) },
+  { label: 'v2ray', color: '#ec4899', match: r => INFRA_LAYERS.v2ray.match(r) }
+];
+
+function hasProtocol(r, name) {
+  return Array.isArray(r.protocols) && r.protocols.map(p => p.toString().toLowerCase()).includes(name);
+}
+
 function renderProtocols(relays) {
-  const countOpenVPN = relays.filter(r =>
-    Array.isArray(r.protocols) &&
-    r.protocols.map(p => p.toString().toLowerCase()).includes('openvpn')
-  ).length;
+  const by = document.getElementById('protocol-group').value;
+  if (by) {
+    // a relay can offer several protocols, so the bars sit side by side
+    const data = groupedChartData(relays, by, PROTOCOL_SERIES);
+    if (protocolChartInstance) {
+      protocolChartInstance.data.labels = data.labels;
+      protocolChartInstance.data.datasets = data.datasets;
+      protocolChartInstance.update();
+    } else {
+      protocolChartInstance = groupedChart('protocolChart', data, false);
+    }
+    return;
+  }
 
-  const countWireGuard = relays.filter(r =>
-    Array.isArray(r.protocols) &&
-    r.protocols.map(p => p.toString().toLowerCase()).includes('wireguard')
-  ).length;
+  const counts = PROTOCOL_SERIES.map(s => relays.filter(s.match).length);
 
+  if (protocolChartInstance) {
+    protocolChartInstance.data.datasets[0].data = counts;
+    protocolChartInstance.update();
+    return;
+  }
   const ctx = document.getElementById('protocolChart').getContext('2d');
-  if (protocolChartInstance) protocolChartInstance.destroy();
   protocolChartInstance = new Chart(ctx, {
     type: 'bar',
     data: {
-      labels: ['OpenVPN', 'WireGuard'],
+      labels: PROTOCOL_SERIES.map(s => s.label),
       datasets: [{
         label: '# of servers',
-        data: [countOpenVPN, countWireGuard],
-        backgroundColor: ['#3b82f6', '#10b981']
+        data: counts,
+        backgroundColor: PROTOCOL_SERIES.map(s => s.color)
       }]
     },
     options: {
@@ -174,43 +550,1433 @@ function renderProtocols(relays) {
   });
 }
 
-// Hash-based navigation
-function updateActiveNav(hash) {
-  document.querySelectorAll('.nav-link').forEach(n => n.classList.remove('active'));
-  const mapNav = document.getElementById('nav-map');
-  const ownershipNav = document.getElementById('nav-ownership');
-  const protocolsNav = document.getElementById('nav-protocols');
-  switch (hash) {
-    case '#/ownership':
-      ownershipNav.classList.add('active');
-      break;
-    case '#/protocols':
-      protocolsNav.classList.add('active');
-      break;
-    default:
-      mapNav.classList.add('active');
+// A grouping change switches chart layouts, so the chart is drawn afresh
+function initChartGrouping() {
+  const charts = [
+    { select: 'ownership-group', render: renderOwnership, reset: () => { if (ownershipChartInstance) ownershipChartInstance.destroy(); ownershipChartInstance = null; } },
+    { select: 'protocol-group', render: renderProtocols, reset: () => { if (protocolChartInstance) protocolChartInstance.destroy(); protocolChartInstance = null; } }
+  ];
+  charts.forEach(c => {
+    const select = document.getElementById(c.select);
+    select.addEventListener('change', async () => {
+      if (select.value) {
+        try {
+          await fetchCountryReference();
+        } catch (e) {
+          console.warn('Failed to load the country reference:', e);
+          showToast('Could not load country regions');
+          select.value = '';
+        }
+      }
+      c.reset();
+      c.render(filteredRelays());
+    });
+  });
+}
+
+// Least reliable relays table
+async function renderReliability() {
+  const body = document.getElementById('reliabilityBody');
+  const note = document.getElementById('reliabilityNote');
+  let data = null;
+  try {
+    const res = await fetch('/api/reliability?limit=50');
+    if (res.ok) data = await res.json();
+  } catch (e) {
+    console.warn('Failed to fetch reliability ranking:', e);
+  }
+  if (!data) {
+    note.textContent = 'Failed to load reliability data.';
+    return;
+  }
+  note.textContent = data.snapshots < 2
+    ? 'Availability history needs at least two ingest snapshots.'
+    : `Based on ${data.snapshots} snapshots. Relays that were always online are omitted.`;
+  body.innerHTML = data.relays.map(r => `
+    <tr>
+      <td>${escapeHtml(r.id)}</td>
+      <td>${r.availability}%</td>
+      <td>${r.flips}${r.flapping ? ' <span class="badge-flapping">flapping</span>' : ''}</td>
+      <td>${r.longestOutage ? formatDuration(r.longestOutage.durationMs) + (r.longestOutage.ongoing ? ' (ongoing)' : '') : '—'}</td>
+      <td>${r.lastSeen ? escapeHtml(r.lastSeen.slice(0, 16).replace('T', ' ')) : ''}</td>
+    </tr>
+  `).join('');
+}
+
+// Incidents feed (#/incidents): status messages grouped by country, then city.
+// Countries and cities are ordered by their newest incident.
+function incidentTime(i) {
+  return i.firstSeenAt || i.timestamp || '';
+}
+
+function groupIncidents(incidents) {
+  const countries = new Map();
+  for (const i of incidents) {
+    if (!countries.has(i.countryCode)) countries.set(i.countryCode, { name: i.country, cities: new Map() });
+    const cities = countries.get(i.countryCode).cities;
+    if (!cities.has(i.city)) cities.set(i.city, []);
+    cities.get(i.city).push(i);
+  }
+  return countries;
+}
+
+function incidentHtml(i, selectedId) {
+  const seen = incidentTime(i);
+  const relays = i.relays
+    .map(r => `<a href="${relayHref(r.id)}" class="${r.active ? '' : 'offline'}">${escapeHtml(r.id)}</a>`)
+    .join(', ');
+  return `
+    <li id="incident-${i.id}" class="incident${i.id === selectedId ? ' selected' : ''}">
+      <div class="incident-meta">
+        ${seen ? `<time datetime="${escapeHtml(seen)}">${escapeHtml(seen.slice(0, 16).replace('T', ' '))}</time>` : ''}
+        ${i.offline ? `<span class="badge-offline-message">${i.offline} offline</span>` : ''}
+      </div>
+      <div>${escapeHtml(i.message)}</div>
+      <div class="incident-relays">${relays}</div>
+    </li>`;
+}
+
+async function renderIncidents(params = {}) {
+  const list = document.getElementById('incidentsList');
+  const note = document.getElementById('incidentsNote');
+  let data = null;
+  try {
+    const res = await fetch('/api/incidents?limit=500');
+    if (res.ok) data = await res.json();
+  } catch (e) {
+    console.warn('Failed to fetch incidents:', e);
   }
+  if (!data) {
+    note.textContent = 'Failed to load incidents.';
+    return;
+  }
+  note.textContent = data.total === 0
+    ? 'No relay currently has a status message.'
+    : `${data.total} status message${data.total === 1 ? '' : 's'} across ${data.relays} relays, newest first.`;
+  const groups = groupIncidents(data.incidents);
+  list.innerHTML = [...groups].map(([code, country]) => `
+    <section class="incident-country">
+      <h3>${escapeHtml(country.name)} (${escapeHtml(code)})</h3>
+      ${[...country.cities].map(([city, incidents]) => `
+        <h4>${escapeHtml(city)}</h4>
+        <ul class="incident-list">${incidents.map(i => incidentHtml(i, params.id)).join('')}</ul>
+      `).join('')}
+    </section>
+  `).join('');
+  if (params.id) {
+    const el = document.getElementById(`incident-${params.id}`);
+    if (el) el.scrollIntoView({ block: 'center' });
+  }
+}
+
+// Map filters
+
+function boolFilterMatches(filterValue, value) {
+  if (filterValue == null) return true;
+  return value === (filterValue === 'true');
+}
+
+function matchesFilters(r) {
+  if (filters.country && (r.countryCode || '') !== filters.country) return false;
+  if (filters.city && (r.city || '') !== filters.city) return false;
+  if (filters.type && (r.type || '') !== filters.type) return false;
+  if (filters.ownership && (r.ownership || 'Mullvad').toLowerCase() !== filters.ownership) return false;
+  if (filters.provider && (r.provider || '') !== filters.provider) return false;
+  if (!boolFilterMatches(filters.active, isRelayActive(r))) return false;
+  if (!boolFilterMatches(filters.daita, r.daita === true)) return false;
+  if (!boolFilterMatches(filters.stboot, r.stboot === true)) return false;
+  return true;
+}
+
+function filteredRelays() {
+  return [...relaysById.values()].filter(matchesFilters);
+}
+
+// Split "#/path?a=1" into { path, params }
+function parseHash(hash) {
+  const raw = (hash || '').replace(/^#/, '') || '/map';
+  const i = raw.indexOf('?');
+  return {
+    path: `#${i >= 0 ? raw.slice(0, i) : raw}`,
+    params: new URLSearchParams(i >= 0 ? raw.slice(i + 1) : '')
+  };
+}
+
+function filtersFromParams(params) {
+  const next = {};
+  FILTER_KEYS.forEach(k => {
+    const v = params.get(k);
+    if (v) next[k] = v;
+  });
+  return next;
+}
+
+function positionFromParams(params) {
+  const z = Number(params.get('z'));
+  const c = (params.get('c') || '').split(',').map(Number);
+  if (!Number.isFinite(z) || c.length !== 2 || !c.every(Number.isFinite) || !params.get('z')) return null;
+  return { z, c };
+}
+
+function buildMapHash() {
+  const params = new URLSearchParams();
+  FILTER_KEYS.forEach(k => {
+    if (filters[k]) params.set(k, filters[k]);
+  });
+  if (capacityMode) params.set('mode', 'capacity');
+  if (mapPosition) {
+    params.set('z', String(mapPosition.z));
+    params.set('c', mapPosition.c.map(v => v.toFixed(2)).join(','));
+  }
+  const query = params.toString().replace(/%2C/g, ',');
+  return `#/map${query ? `?${query}` : ''}`;
+}
+
+// Reflect filters/position in the URL without adding history entries
+function syncMapHash() {
+  const hash = buildMapHash();
+  document.getElementById('nav-map').setAttribute('href', hash);
+  if (parseHash(location.hash).path !== '#/map' || location.hash === hash) return;
+  history.replaceState(null, '', hash);
+}
+
+function setSelectOptions(select, options, value) {
+  const first = select.options[0];
+  select.innerHTML = '';
+  select.appendChild(first);
+  options.forEach(([v, label]) => {
+    const opt = document.createElement('option');
+    opt.value = v;
+    opt.textContent = label;
+    select.appendChild(opt);
+  });
+  // keep a value from the URL even if no relay currently matches it
+  if (value && !options.some(([v]) => v === value)) {
+    const opt = document.createElement('option');
+    opt.value = value;
+    opt.textContent = value;
+    select.appendChild(opt);
+  }
+  select.value = value || '';
+}
+
+// Fill the dropdowns from the current relays; cities follow the selected country
+function populateFilterOptions() {
+  const relays = [...relaysById.values()];
+  const countries = new Map();
+  const cities = new Set();
+  const providers = new Set();
+  relays.forEach(r => {
+    if (r.countryCode) countries.set(r.countryCode, r.country || r.countryCode);
+    if (r.city && (!filters.country || r.countryCode === filters.country)) cities.add(r.city);
+    if (r.provider) providers.add(r.provider);
+  });
+  const byLabel = (a, b) => a[1].localeCompare(b[1]);
+  setSelectOptions(document.getElementById('filter-country'), [...countries].sort(byLabel), filters.country);
+  setSelectOptions(document.getElementById('filter-city'), [...cities].map(c => [c, c]).sort(byLabel), filters.city);
+  setSelectOptions(document.getElementById('filter-provider'), [...providers].map(p => [p, p]).sort(byLabel), filters.provider);
+  ['planner-entry', 'planner-exit'].forEach(id => {
+    const select = document.getElementById(id);
+    setSelectOptions(select, [...countries].sort(byLabel), select.value);
+  });
+  ['type', 'ownership', 'active', 'daita', 'stboot'].forEach(k => {
+    document.getElementById(`filter-${k}`).value = filters[k] || '';
+  });
+}
+
+function updateFilterCount(shown) {
+  document.getElementById('filter-count').textContent = `Showing ${shown} of ${relaysById.size} relays`;
+}
+
+// Point the bulk download at the same filters (the API skips inactive / non-WireGuard relays)
+function updateConfigZipLink(relays) {
+  const params = new URLSearchParams();
+  FILTER_KEYS.forEach(k => {
+    if (filters[k]) params.set(k, filters[k]);
+  });
+  const query = params.toString();
+  const link = document.getElementById('filter-wg-zip');
+  const count = relays.filter(canDownloadConfig).length;
+  link.href = `/api/wireguard/configs.zip${query ? `?${query}` : ''}`;
+  link.textContent = `Download ${count} WireGuard configs (.zip)`;
+  link.classList.toggle('disabled', count === 0);
 }
 
-function showView(hash) {
-  document.getElementById('view-map').style.display = (hash === '#/map') ? 'block' : 'none';
-  document.getElementById('view-ownership').style.display = (hash === '#/ownership') ? 'block' : 'none';
-  document.getElementById('view-protocols').style.display = (hash === '#/protocols') ? 'block' : 'none';
+// Redraw markers and both charts for the current filters
+function applyFilters({ fit = true } = {}) {
+  const relays = filteredRelays();
+  renderAll(relays, { fit });
+  updateFilterCount(relays.length);
+  updateConfigZipLink(relays);
+  if (editMode) {
+    cancelCoordinateEdit();
+    renderEditLayer();
+  }
+  syncMapHash();
+}
+
+function onFilterInput(e) {
+  const key = e.target.name;
+  const value = e.target.value;
+  if (value) filters[key] = value;
+  else delete filters[key];
+  // a city from another country no longer makes sense
+  if (key === 'country') delete filters.city;
+  populateFilterOptions();
+  applyFilters();
+}
+
+function initFilterPanel() {
+  const form = document.getElementById('filter-form');
+  form.addEventListener('change', onFilterInput);
+  document.getElementById('filter-reset').addEventListener('click', () => {
+    filters = {};
+    populateFilterOptions();
+    applyFilters();
+  });
+  document.getElementById('capacity-mode').addEventListener('change', e => setCapacityMode(e.target.checked));
+}
+
+// Called when #/map is shown: adopt filters/position from the URL if they differ
+function showMapView(params) {
+  const map = ensureMap();
+  map.invalidateSize();
+  const nextFilters = filtersFromParams(params);
+  const nextPosition = positionFromParams(params);
+  const filtersChanged = JSON.stringify(nextFilters) !== JSON.stringify(filters);
+  if (filtersChanged) {
+    filters = nextFilters;
+    populateFilterOptions();
+    applyFilters({ fit: !nextPosition });
+  }
+  const nextCapacityMode = params.get('mode') === 'capacity';
+  if (nextCapacityMode !== capacityMode) setCapacityMode(nextCapacityMode);
+  if (nextPosition) {
+    const current = mapPosition ? buildMapHash() : null;
+    mapPosition = nextPosition;
+    if (current !== buildMapHash()) map.setView(nextPosition.c, nextPosition.z);
+  } else {
+    syncMapHash();
+  }
+}
+
+// Censorship-circumvention infrastructure layers (bridges, SOCKS5, v2ray).
+// One marker per location; `anchor` offsets the three kinds so they don't overlap.
+const INFRA_LAYERS = {
+  bridge: {
+    label: 'Bridges',
+    match: r => r.type === 'bridge',
+    describe: r => `${r.id} (${r.ipv4AddrIn || 'no address'})`,
+    anchor: [7, 20]
+  },
+  socks: {
+    label: 'SOCKS5 proxies',
+    match: r => !!(r.socks && r.socks.name),
+    describe: r => `${r.socks.name}${r.socks.port ? `:${r.socks.port}` : ''}`,
+    anchor: [-6, 7]
+  },
+  v2ray: {
+    label: 'v2ray endpoints',
+    match: r => !!r.ipv4V2ray,
+    describe: r => `${r.ipv4V2ray} (${r.id})`,
+    anchor: [20, 7]
+  }
+};
+
+function renderInfrastructure(relays) {
+  for (const [key, def] of Object.entries(INFRA_LAYERS)) {
+    const layer = infraLayers[key];
+    layer.clearLayers();
+    const byLocation = new Map();
+    relays.filter(def.match).forEach(r => {
+      const latlng = relayLatLng(r);
+      if (!latlng) return;
+      const k = latlng.join(',');
+      if (!byLocation.has(k)) byLocation.set(k, { latlng, place: [r.city, r.countryCode].filter(Boolean).join(', '), relays: [] });
+      byLocation.get(k).relays.push(r);
+    });
+    byLocation.forEach(({ latlng, place, relays: here }) => {
+      const icon = L.divIcon({
+        className: `infra-marker infra-${key}`,
+        html: here.length > 1 ? `<span>${here.length}</span>` : '',
+        iconSize: [14, 14],
+        iconAnchor: def.anchor
+      });
+      L.marker(latlng, { icon })
+        .bindTooltip(`${def.label}: ${here.length} in ${escapeHtml(place)}`)
+        .bindPopup(`
+          <div style="font-size:13px;">
+            <strong>${def.label} — ${escapeHtml(place)}</strong>
+            <ul class="infra-list">${here.map(r => `<li class="${isRelayActive(r) ? '' : 'muted'}">${escapeHtml(def.describe(r))}</li>`).join('')}</ul>
+          </div>
+        `, { maxWidth: 360 })
+        .addTo(layer);
+    });
+  }
+}
+
+// Coverage gap overlay (toggled from the map's layer control)
+
+const COVERAGE_STEPS = [
+  [250, '#16a34a'],
+  [500, '#84cc16'],
+  [1000, '#facc15'],
+  [1500, '#f97316'],
+  [2500, '#ef4444'],
+  [Infinity, '#7f1d1d']
+];
+
+function coverageColor(km) {
+  return COVERAGE_STEPS.find(([max]) => km <= max)[1];
+}
+
+async function loadCoverage() {
+  try {
+    const [gridRes, gapsRes] = await Promise.all([fetch('/api/coverage/grid'), fetch('/api/coverage?limit=10')]);
+    if (!gridRes.ok || !gapsRes.ok) throw new Error(`HTTP ${gridRes.ok ? gapsRes.status : gridRes.status}`);
+    const [grid, gaps] = await Promise.all([gridRes.json(), gapsRes.json()]);
+    renderCoverage(grid, gaps.gaps);
+  } catch (e) {
+    console.warn('Failed to load coverage:', e);
+  }
+}
+
+function renderCoverage(grid, gaps) {
+  coverageLayer.clearLayers();
+  const renderer = L.canvas({ padding: 0.5 });
+  const half = grid.gridDegrees / 2;
+  grid.cells.forEach(([lat, lon, km]) => {
+    if (km == null) return;
+    L.rectangle([[lat - half, lon - half], [lat + half, lon + half]], {
+      renderer,
+      stroke: false,
+      fillColor: coverageColor(km),
+      fillOpacity: 0.45,
+      interactive: false
+    }).addTo(coverageLayer);
+  });
+  gaps.forEach((g, i) => {
+    L.circleMarker([g.lat, g.lon], { radius: 7, color: '#111827', weight: 2, fillColor: '#ffffff', fillOpacity: 1 })
+      .bindTooltip(`Gap #${i + 1}: ${escapeHtml(g.country)}, ${g.distanceKm.toLocaleString()} km to ${escapeHtml(g.nearest.city)}`)
+      .addTo(coverageLayer);
+  });
+}
+
+// Nearest relays: click the map, list and draw lines to the closest relays
+
+const NEAREST_K = 5;
+
+function setNearestMode(on) {
+  nearestMode = on;
+  const button = document.getElementById('nearest-toggle');
+  button.setAttribute('aria-pressed', String(on));
+  button.textContent = on ? 'Cancel (click the map)' : 'Click the map to find nearest';
+  document.getElementById('map').classList.toggle('picking', on);
+}
+
+function renderNearest(data) {
+  const map = ensureMap();
+  if (!nearestLayer) nearestLayer = L.layerGroup().addTo(map);
+  nearestLayer.clearLayers();
+
+  const origin = [data.origin.lat, data.origin.lon];
+  const bounds = L.latLngBounds([origin]);
+  L.circleMarker(origin, { radius: 6, color: '#111827', fillColor: '#111827', fillOpacity: 1 })
+    .bindTooltip('Your point').addTo(nearestLayer);
+  data.relays.forEach(r => {
+    const target = [r.lat, r.lon];
+    bounds.extend(target);
+    L.polyline([origin, target], {
+      color: r.approximate ? '#b45309' : '#111827',
+      weight: 2,
+      dashArray: r.approximate ? '4 6' : null
+    })
+      .bindTooltip(`${escapeHtml(r.id)}: ${r.distanceKm.toLocaleString()} km, ~${r.estimatedRttMs} ms${r.approximate ? ' (approximate location)' : ''}`)
+      .addTo(nearestLayer);
+  });
+  if (data.relays.length) map.fitBounds(bounds, { padding: [40, 40], maxZoom: 8 });
+
+  document.getElementById('nearest-note').textContent = data.relays.length
+    ? 'Latency is a rough estimate from distance.'
+    : 'No matching relays.';
+  document.getElementById('nearest-results').innerHTML = data.relays.map(r => `
+    <li>
+      <a href="${relayHref(r.id)}">${escapeHtml(r.id)}</a>
+      <span class="route-meta">
+        ${escapeHtml(r.city || '')} · ${r.distanceKm.toLocaleString()} km · ~${r.estimatedRttMs} ms
+        ${r.approximate ? '<span class="approximate">· approximate location (country centroid)</span>' : ''}
+      </span>
+    </li>
+  `).join('');
+}
+
+// Query with the current map filters, so "nearest" means "nearest shown relay"
+async function findNearest(latlng) {
+  setNearestMode(false);
+  const params = new URLSearchParams({ lat: latlng.lat.toFixed(5), lon: latlng.lng.toFixed(5), k: String(NEAREST_K), approximate: 'true' });
+  FILTER_KEYS.forEach(k => {
+    if (filters[k]) params.set(k, filters[k]);
+  });
+  document.getElementById('nearest-note').textContent = 'Searching…';
+  try {
+    const res = await fetch(`/api/relays/nearest?${params}`);
+    if (!res.ok) throw new Error(`HTTP ${res.status}`);
+    renderNearest(await res.json());
+  } catch (e) {
+    console.warn('Failed to fetch nearest relays:', e);
+    document.getElementById('nearest-note').textContent = 'Could not find nearest relays.';
+  }
+}
+
+function initNearest() {
+  document.getElementById('nearest-toggle').addEventListener('click', () => setNearestMode(!nearestMode));
+  ensureMap().on('click', e => {
+    if (nearestMode) findNearest(e.latlng.wrap());
+  });
+}
+
+// Multihop planner
+
+// Points along the great circle from a to b ([lat, lon]), with longitudes
+// unwrapped so the polyline does not jump across the antimeridian
+function geodesicPoints(a, b, segments = 64) {
+  const toRad = d => d * Math.PI / 180;
+  const toDeg = r => r * 180 / Math.PI;
+  const [lat1, lon1, lat2, lon2] = [a[0], a[1], b[0], b[1]].map(toRad);
+  const d = 2 * Math.asin(Math.sqrt(Math.sin((lat2 - lat1) / 2) ** 2 + Math.cos(lat1) * Math.cos(lat2) * Math.sin((lon2 - lon1) / 2) ** 2));
+  if (d === 0) return [a, b];
+  const points = [];
+  let prevLon = null;
+  for (let i = 0; i <= segments; i++) {
+    const f = i / segments;
+    const A = Math.sin((1 - f) * d) / Math.sin(d);
+    const B = Math.sin(f * d) / Math.sin(d);
+    const x = A * Math.cos(lat1) * Math.cos(lon1) + B * Math.cos(lat2) * Math.cos(lon2);
+    const y = A * Math.cos(lat1) * Math.sin(lon1) + B * Math.cos(lat2) * Math.sin(lon2);
+    const z = A * Math.sin(lat1) + B * Math.sin(lat2);
+    let lon = toDeg(Math.atan2(y, x));
+    if (prevLon != null) lon += 360 * Math.round((prevLon - lon) / 360);
+    prevLon = lon;
+    points.push([toDeg(Math.atan2(z, Math.sqrt(x * x + y * y))), lon]);
+  }
+  return points;
+}
+
+function drawRoute(index) {
+  const s = plannerSuggestions[index];
+  if (!s) return;
+  const map = ensureMap();
+  if (!plannerLayer) plannerLayer = L.layerGroup().addTo(map);
+  plannerLayer.clearLayers();
+
+  const arc = L.polyline(geodesicPoints([s.entry.lat, s.entry.lon], [s.exit.lat, s.exit.lon]), {
+    color: '#7c3aed', weight: 3, dashArray: '6 6'
+  }).addTo(plannerLayer);
+  const points = arc.getLatLngs();
+  L.circleMarker(points[0], { radius: 8, color: '#7c3aed', fillColor: '#ffffff', fillOpacity: 1, weight: 3 })
+    .bindTooltip(`Entry: ${escapeHtml(s.entry.id)} (${escapeHtml(s.entry.city)})`).addTo(plannerLayer);
+  // the arc's end may be shifted by ±360° of longitude; put the exit marker there
+  L.circleMarker(points[points.length - 1], { radius: 8, color: '#7c3aed', fillColor: '#7c3aed', fillOpacity: 1, weight: 3 })
+    .bindTooltip(`Exit: ${escapeHtml(s.exit.id)} (${escapeHtml(s.exit.city)})`).addTo(plannerLayer);
+  map.fitBounds(arc.getBounds(), { padding: [40, 40] });
+
+  document.querySelectorAll('#planner-results li').forEach((li, i) => li.classList.toggle('selected', i === index));
+}
+
+function renderPlannerResults(data) {
+  plannerSuggestions = data.suggestions;
+  document.getElementById('planner-note').textContent = plannerSuggestions.length
+    ? `${data.candidates.pairs} possible pairs; best ${plannerSuggestions.length} shown`
+    : 'No active WireGuard relay pairs for these countries.';
+  document.getElementById('planner-results').innerHTML = plannerSuggestions.map((s, i) => `
+    <li data-index="${i}">
+      ${escapeHtml(s.entry.id)} → ${escapeHtml(s.exit.id)}
+      <span class="route-meta">
+        ${s.distanceKm.toLocaleString()} km ·
+        ${s.providerDiverse ? 'different providers' : 'same provider'} ·
+        ${s.ownedHops}/2 Mullvad-owned ·
+        <a href="${wireguardConfigHref(s.exit.id)}&via=${encodeURIComponent(s.entry.id)}" download>config</a>
+      </span>
+    </li>
+  `).join('');
+  if (plannerSuggestions.length) drawRoute(0);
+  else if (plannerLayer) plannerLayer.clearLayers();
+}
+
+async function suggestRoutes() {
+  const entry = document.getElementById('planner-entry').value;
+  const exit = document.getElementById('planner-exit').value;
+  const note = document.getElementById('planner-note');
+  if (!entry || !exit) {
+    note.textContent = 'Choose an entry and an exit country.';
+    return;
+  }
+  note.textContent = 'Finding routes…';
+  try {
+    const params = new URLSearchParams({ entry, exit, limit: '5' });
+    const res = await fetch(`/api/multihop/suggest?${params}`);
+    if (!res.ok) throw new Error(`HTTP ${res.status}`);
+    renderPlannerResults(await res.json());
+  } catch (e) {
+    console.warn('Failed to fetch multihop suggestions:', e);
+    note.textContent = 'Could not load suggestions.';
+  }
+}
+
+function initPlanner() {
+  document.getElementById('planner-suggest').addEventListener('click', suggestRoutes);
+  document.getElementById('planner-results').addEventListener('click', e => {
+    if (e.target.closest('a')) return;
+    const li = e.target.closest('li[data-index]');
+    if (li) drawRoute(Number(li.dataset.index));
+  });
+}
+
+// City location edit mode: one draggable marker per city; dropping it (or
+// clicking it) opens the form that saves a coordinate override
+
+const COORDINATES_TOKEN_KEY = 'mullvad-viz.coordinatesToken';
+const COORDINATES_AUTHOR_KEY = 'mullvad-viz.coordinatesAuthor';
+
+// Same key as lib/coordinate-overrides.js: "<country code>-<city code>"
+function cityOverrideKey(r) {
+  return r.countryCode && r.cityCode ? `${r.countryCode}-${r.cityCode}`.toLowerCase() : null;
+}
+
+async function loadCoordinateOverrides() {
+  try {
+    const res = await fetch('/api/coordinates');
+    if (!res.ok) throw new Error(`HTTP ${res.status}`);
+    const data = await res.json();
+    coordinateOverrides = new Map(data.overrides.map(o => [o.key, o]));
+  } catch (e) {
+    console.warn('Failed to load coordinate overrides:', e);
+  }
+}
+
+// Cities of the filtered relays: [{ key, name, countryCode, latlng, relays }]
+function editableCities() {
+  const byKey = new Map();
+  filteredRelays().forEach(r => {
+    const key = cityOverrideKey(r);
+    const latlng = relayLatLng(r);
+    if (!key || !latlng) return;
+    if (!byKey.has(key)) byKey.set(key, { key, name: r.city || r.cityCode, countryCode: r.countryCode, latlng, relays: 0 });
+    byKey.get(key).relays += 1;
+  });
+  return [...byKey.values()];
+}
+
+function renderEditLayer() {
+  if (!editLayer) editLayer = L.layerGroup();
+  editLayer.clearLayers();
+  editableCities().forEach(city => {
+    const override = coordinateOverrides.get(city.key);
+    const marker = L.marker(city.latlng, {
+      draggable: true,
+      icon: L.divIcon({ className: `edit-marker${override ? ' overridden' : ''}`, iconSize: [16, 16] })
+    });
+    const overrideNote = override ? ` · override by ${override.updatedBy}: ${override.reason}` : '';
+    marker.bindTooltip(escapeHtml(`${city.name} (${city.countryCode}), ${city.relays} relay${city.relays === 1 ? '' : 's'}${overrideNote}`));
+    marker.on('dragend', () => startCoordinateEdit(city, marker));
+    marker.on('click', () => startCoordinateEdit(city, marker));
+    marker.addTo(editLayer);
+  });
+}
+
+function setEditMode(on) {
+  editMode = on;
+  const map = ensureMap();
+  const button = document.getElementById('coord-edit-toggle');
+  button.setAttribute('aria-pressed', String(on));
+  button.textContent = on ? 'Stop editing' : 'Edit city locations';
+  cancelCoordinateEdit();
+  if (on) {
+    document.getElementById('coord-edit-note').textContent = 'Loading…';
+    loadCoordinateOverrides().then(() => {
+      if (!editMode) return;
+      renderEditLayer();
+      map.removeLayer(markersLayer);
+      map.removeLayer(capacityLayer);
+      editLayer.addTo(map);
+      document.getElementById('coord-edit-note').textContent = 'Drag a city to its correct spot, or click it.';
+    });
+  } else {
+    if (editLayer) map.removeLayer(editLayer);
+    (capacityMode ? capacityLayer : markersLayer).addTo(map);
+    document.getElementById('coord-edit-note').textContent = '';
+  }
+}
+
+function formatLatLng(latlng) {
+  return `${latlng[0].toFixed(5)}, ${latlng[1].toFixed(5)}`;
+}
+
+function startCoordinateEdit(city, marker) {
+  // only one city moves at a time
+  if (pendingEdit && pendingEdit.marker !== marker) pendingEdit.marker.setLatLng(pendingEdit.city.latlng);
+  pendingEdit = { city, marker };
+  const { lat, lng } = marker.getLatLng();
+  const override = coordinateOverrides.get(city.key);
+  document.getElementById('coord-edit-city').innerHTML = `
+    <strong>${escapeHtml(city.name)} (${escapeHtml(city.countryCode)})</strong><br />
+    ${formatLatLng(city.latlng)} → ${formatLatLng([lat, lng])}
+    ${override ? `<br /><span class="muted">Override by ${escapeHtml(override.updatedBy)}, ${new Date(override.updatedAt).toLocaleString()}</span>` : ''}
+  `;
+  document.getElementById('coord-edit-remove').hidden = !override;
+  document.getElementById('coord-edit-reason').value = '';
+  document.getElementById('coord-edit-force').checked = false;
+  document.getElementById('coord-edit-form').hidden = false;
+}
+
+function cancelCoordinateEdit() {
+  if (pendingEdit) pendingEdit.marker.setLatLng(pendingEdit.city.latlng);
+  pendingEdit = null;
+  document.getElementById('coord-edit-form').hidden = true;
+}
+
+// PUT or DELETE an override; resolves to the response body, or null after
+// showing the error
+async function sendCoordinateOverride(method, key, body) {
+  const note = document.getElementById('coord-edit-note');
+  const token = document.getElementById('coord-edit-token').value.trim();
+  sessionStorage.setItem(COORDINATES_TOKEN_KEY, token);
+  localStorage.setItem(COORDINATES_AUTHOR_KEY, body.author);
+  note.textContent = 'Saving…';
+  try {
+    const res = await fetch(`/api/coordinates/${encodeURIComponent(key)}`, {
+      method,
+      headers: { 'Content-Type': 'application/json', Authorization: `Bearer ${token}` },
+      body: JSON.stringify(body)
+    });
+    const data = await res.json().catch(() => ({}));
+    if (res.ok) return data;
+    if (res.status === 401) note.textContent = 'The token was not accepted.';
+    else if (res.status === 503) note.textContent = 'Editing is disabled on this server.';
+    else note.textContent = [data.error || `HTTP ${res.status}`, ...(data.details || [])].join(': ');
+  } catch (e) {
+    console.warn('Failed to save the coordinate override:', e);
+    note.textContent = 'Could not reach the server.';
+  }
+  return null;
+}
+
+async function saveCoordinateEdit(e) {
+  e.preventDefault();
+  if (!pendingEdit) return;
+  const { city, marker } = pendingEdit;
+  const { lat, lng } = marker.getLatLng();
+  const data = await sendCoordinateOverride('PUT', city.key, {
+    lat: Number(lat.toFixed(6)),
+    lon: Number(lng.toFixed(6)),
+    city: city.name,
+    reason: document.getElementById('coord-edit-reason').value,
+    author: document.getElementById('coord-edit-author').value,
+    force: document.getElementById('coord-edit-force').checked
+  });
+  if (!data) return;
+  // the relays themselves move with the relay-updated events that follow
+  city.latlng = [data.lat, data.lon];
+  pendingEdit = null;
+  document.getElementById('coord-edit-form').hidden = true;
+  document.getElementById('coord-edit-note').textContent = `Saved ${city.name}${data.moved ? `; ${data.moved} relays moved` : ''}.`;
+  await loadCoordinateOverrides();
+  if (editMode) renderEditLayer();
+}
+
+async function removeCoordinateOverride() {
+  if (!pendingEdit) return;
+  const { city } = pendingEdit;
+  const data = await sendCoordinateOverride('DELETE', city.key, {
+    reason: document.getElementById('coord-edit-reason').value,
+    author: document.getElementById('coord-edit-author').value
+  });
+  if (!data) return;
+  cancelCoordinateEdit();
+  document.getElementById('coord-edit-note').textContent = `Removed the override for ${city.name}.`;
+  await loadCoordinateOverrides();
+  if (editMode) renderEditLayer();
+}
+
+function initCoordinateEditing() {
+  document.getElementById('coord-edit-token').value = sessionStorage.getItem(COORDINATES_TOKEN_KEY) || '';
+  document.getElementById('coord-edit-author').value = localStorage.getItem(COORDINATES_AUTHOR_KEY) || '';
+  document.getElementById('coord-edit-toggle').addEventListener('click', () => setEditMode(!editMode));
+  document.getElementById('coord-edit-form').addEventListener('submit', saveCoordinateEdit);
+  document.getElementById('coord-edit-cancel').addEventListener('click', cancelCoordinateEdit);
+  document.getElementById('coord-edit-remove').addEventListener('click', removeCoordinateOverride);
+}
+
+// Relay detail view (#/relay/:id)
+
+function relayHref(id) {
+  return `#/relay/${encodeURIComponent(id)}`;
+}
+
+// Great-circle distance in km
+function haversineKm(a, b) {
+  const toRad = d => d * Math.PI / 180;
+  const dLat = toRad(b[0] - a[0]);
+  const dLon = toRad(b[1] - a[1]);
+  const h = Math.sin(dLat / 2) ** 2 + Math.cos(toRad(a[0])) * Math.cos(toRad(b[0])) * Math.sin(dLon / 2) ** 2;
+  return 2 * 6371 * Math.asin(Math.min(1, Math.sqrt(h)));
+}
+
+// Every field of the relay, in display order; empty values are shown as "—"
+function relayFieldRows(r) {
+  const latlng = relayLatLng(r);
+  return [
+    ['Hostname', r.id],
+    ['FQDN', r.fqdn],
+    ['Type', r.type],
+    ['Status', isRelayActive(r) ? 'Online' : 'Offline'],
+    ['Country', r.country ? `${r.country} (${r.countryCode})` : r.countryCode],
+    ['City', r.city ? `${r.city}${r.cityCode ? ` (${r.cityCode})` : ''}` : null],
+    ['Coordinates', latlng ? `${latlng[0].toFixed(4)}, ${latlng[1].toFixed(4)}` : null],
+    ['Placed by', r.coordSource ? COORD_SOURCE_LABELS[r.coordSource] : null],
+    ['Ownership', r.ownership],
+    ['Provider', r.provider],
+    ['Protocols', Array.isArray(r.protocols) && r.protocols.length ? r.protocols.join(', ') : null],
+    ['IPv4 (in)', r.ipv4AddrIn],
+    ['IPv6 (in)', r.ipv6AddrIn],
+    ['Port speed', r.networkPortSpeed != null ? `${r.networkPortSpeed} Gbps` : null],
+    ['stboot', yesNo(r.stboot)],
+    ['DAITA', yesNo(r.daita)],
+    ['Public key', r.pubkey],
+    ['Multihop port', r.multihopPort],
+    ['SOCKS5', r.socks && r.socks.name ? `${r.socks.name}${r.socks.port ? `:${r.socks.port}` : ''}` : null],
+    ['v2ray (IPv4)', r.ipv4V2ray],
+    ['SSH fingerprint (SHA256)', r.sshFingerprints ? r.sshFingerprints.sha256 : null],
+    ['SSH fingerprint (MD5)', r.sshFingerprints ? r.sshFingerprints.md5 : null]
+  ];
+}
+
+function ensureDetailMap() {
+  if (!detailMapInstance) {
+    detailMapInstance = L.map('relay-minimap', { zoomControl: true, attributionControl: false });
+    L.tileLayer('https://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png').addTo(detailMapInstance);
+    detailMarkerLayer = L.layerGroup().addTo(detailMapInstance);
+  }
+  return detailMapInstance;
+}
+
+// Other cities with relays, nearest first: [{ country, countryCode, city, km, active, total }]
+function nearestCities(r, latlng, limit = 5) {
+  const cities = new Map();
+  relaysById.forEach(o => {
+    const ll = relayLatLng(o);
+    if (!ll || !o.city || (o.city === r.city && o.countryCode === r.countryCode)) return;
+    const key = `${o.countryCode}|${o.city}`;
+    let c = cities.get(key);
+    if (!c) {
+      c = { country: o.country, countryCode: o.countryCode, city: o.city, km: haversineKm(latlng, ll), active: 0, total: 0 };
+      cities.set(key, c);
+    }
+    c.total += 1;
+    if (isRelayActive(o)) c.active += 1;
+  });
+  return [...cities.values()].filter(c => c.active > 0).sort((a, b) => a.km - b.km).slice(0, limit);
+}
+
+function renderRelayDetail(id) {
+  const container = document.getElementById('relay-detail');
+  const r = relaysById.get(id);
+  const mapEl = document.getElementById('relay-minimap');
+
+  if (!r) {
+    mapEl.style.display = 'none';
+    container.innerHTML = `
+      <h2>Relay not found</h2>
+      <p class="muted">No relay with id <code>${escapeHtml(id)}</code> is in the current dataset. It may have been removed.</p>
+      <p><a href="#/map">Back to the map</a></p>
+    `;
+    return;
+  }
+
+  const latlng = relayLatLng(r);
+  const sameCity = [...relaysById.values()]
+    .filter(o => o.id !== r.id && o.city === r.city && o.countryCode === r.countryCode && isRelayActive(o))
+    .sort((a, b) => a.id.localeCompare(b.id));
+  const nearby = latlng ? nearestCities(r, latlng) : [];
+
+  const fields = relayFieldRows(r)
+    .map(([k, v]) => `<tr><th>${k}</th><td>${v == null || v === '' ? '—' : escapeHtml(v)}</td></tr>`)
+    .join('');
+  const cityMapHref = `#/map?country=${encodeURIComponent(r.countryCode)}&city=${encodeURIComponent(r.city)}`;
+
+  container.innerHTML = `
+    <p><a href="#/map">← Map</a></p>
+    <h2>${escapeHtml(r.id)} <span class="badge ${isRelayActive(r) ? 'badge-online' : 'badge-offline'}">${isRelayActive(r) ? 'Online' : 'Offline'}</span></h2>
+    <p class="muted">${escapeHtml(r.city)}, ${escapeHtml(r.country)}</p>
+    <table class="data-table detail-table">${fields}</table>
+    ${statusMessagesHtml(r)}
+    <div class="popup-history detail-history">Loading availability…</div>
+    <h3>Other active relays in ${escapeHtml(r.city || 'this city')}</h3>
+    ${sameCity.length
+      ? `<ul class="relay-list">${sameCity.map(o => `<li><a href="${relayHref(o.id)}">${escapeHtml(o.id)}</a> <span class="muted">${escapeHtml(o.type || '')}${o.provider ? ` · ${escapeHtml(o.provider)}` : ''}</span></li>`).join('')}</ul>`
+      : '<p class="muted">None.</p>'}
+    <p><a href="${cityMapHref}">Show ${escapeHtml(r.city || 'city')} on the map</a></p>
+    <h3>Nearest other cities</h3>
+    ${nearby.length
+      ? `<ul class="relay-list">${nearby.map(c => `<li><a href="#/map?country=${encodeURIComponent(c.countryCode)}&city=${encodeURIComponent(c.city)}">${escapeHtml(c.city)}, ${escapeHtml(c.country)}</a> <span class="muted">${Math.round(c.km)} km · ${c.active}/${c.total} active</span></li>`).join('')}</ul>`
+      : '<p class="muted">No coordinates available for this relay.</p>'}
+  `;
+
+  if (latlng) {
+    mapEl.style.display = 'block';
+    const map = ensureDetailMap();
+    map.invalidateSize();
+    detailMarkerLayer.clearLayers();
+    L.circleMarker(latlng, markerStyle(r)).bindTooltip(r.id).addTo(detailMarkerLayer);
+    map.setView(latlng, 6);
+  } else {
+    mapEl.style.display = 'none';
+  }
+
+  const historyEl = container.querySelector('.detail-history');
+  fetchRelayHistory(r.id).then(h => {
+    if (!h || h.samples < 2) {
+      historyEl.textContent = 'Not enough snapshots for availability history yet.';
+      return;
+    }
+    historyEl.innerHTML = `${sparklineSvg(h.series, 320, 28)}
+      <div><strong>Availability:</strong> ${h.availability}% over ${h.samples} snapshots${h.flapping ? ' <span class="badge-flapping">flapping</span>' : ''}</div>`;
+  });
+}
+
+function showRelayView(params, path) {
+  const id = decodeURIComponent(path.slice('#/relay/'.length));
+  renderRelayDetail(id);
+}
+
+// Relay search in the header: matches id, city or country; results link to the detail page
+function initRelaySearch() {
+  const input = document.getElementById('relay-search');
+  const results = document.getElementById('relay-search-results');
+  const close = () => {
+    results.innerHTML = '';
+    results.classList.remove('open');
+  };
+  input.addEventListener('input', () => {
+    const q = input.value.trim().toLowerCase();
+    if (q.length < 2) return close();
+    const matches = [...relaysById.values()]
+      .filter(r => [r.id, r.city, r.country].some(v => (v || '').toLowerCase().includes(q)))
+      .slice(0, 10);
+    results.innerHTML = matches.length
+      ? matches.map(r => `<a href="${relayHref(r.id)}">${escapeHtml(r.id)} <span class="muted">${escapeHtml(r.city)}, ${escapeHtml(r.countryCode)}</span></a>`).join('')
+      : '<span class="muted">No matches</span>';
+    results.classList.add('open');
+  });
+  results.addEventListener('click', e => {
+    if (e.target.closest('a')) {
+      input.value = '';
+      close();
+    }
+  });
+  document.addEventListener('click', e => {
+    if (!e.target.closest('.search')) close();
+  });
+}
+
+// Provider analytics view
+async function renderProviders() {
+  let data = null;
+  try {
+    const res = await fetch('/api/stats/providers');
+    if (res.ok) data = await res.json();
+  } catch (e) {
+    console.warn('Failed to fetch provider stats:', e);
+  }
+  const note = document.getElementById('providersNote');
+  if (!data) {
+    note.textContent = 'Failed to load provider statistics.';
+    return;
+  }
+  note.textContent = `${data.totals.providers} providers host ${data.totals.relays} relays with ${data.totals.capacityGbps} Gbps of total port capacity. Click a provider to show its relays on the map.`;
+
+  const providerHref = p => `#/map?provider=${encodeURIComponent(p)}`;
+  document.getElementById('providersBody').innerHTML = data.providers.map(p => `
+    <tr class="clickable" data-href="${providerHref(p.provider)}">
+      <td><a href="${providerHref(p.provider)}">${escapeHtml(p.provider)}</a></td>
+      <td>${p.relays} <span class="muted">(${p.share}%)</span></td>
+      <td>${p.active}</td>
+      <td>${p.owned ? `${p.owned} owned` : ''}${p.owned && p.rented ? ' / ' : ''}${p.rented ? `${p.rented} rented` : ''}</td>
+      <td>${p.capacityGbps} Gbps</td>
+      <td>${p.countries}</td>
+      <td>${p.cities}</td>
+    </tr>
+  `).join('');
+
+  document.getElementById('dependenceBody').innerHTML = data.countryDependence.map(c => `
+    <tr>
+      <td><a href="#/map?country=${encodeURIComponent(c.countryCode)}">${escapeHtml(c.country)}</a></td>
+      <td>${c.relays}</td>
+      <td>${c.providers}</td>
+      <td><a href="${providerHref(c.topProvider)}">${escapeHtml(c.topProvider)}</a></td>
+      <td>${c.share}% of relays in ${escapeHtml(c.country)} are on ${escapeHtml(c.topProvider)}</td>
+    </tr>
+  `).join('');
+
+  const labels = data.providers.map(p => p.provider);
+  const counts = data.providers.map(p => p.relays);
+  if (providerChartInstance) {
+    providerChartInstance.data.labels = labels;
+    providerChartInstance.data.datasets[0].data = counts;
+    providerChartInstance.update();
+    return;
+  }
+  const ctx = document.getElementById('providerChart').getContext('2d');
+  providerChartInstance = new Chart(ctx, {
+    type: 'bar',
+    data: {
+      labels: labels,
+      datasets: [{ label: '# of relays', data: counts, backgroundColor: '#1f78b4' }]
+    },
+    options: {
+      responsive: true,
+      maintainAspectRatio: false,
+      indexAxis: 'y',
+      plugins: { legend: { display: false } },
+      onClick: (evt, elements) => {
+        if (elements.length) location.hash = providerHref(labels[elements[0].index]);
+      }
+    }
+  });
+}
+
+// Capacity (network port speed)
+
+function formatGbps(gbps) {
+  return gbps >= 1000 ? `${(gbps / 1000).toFixed(1)} Tbps` : `${gbps} Gbps`;
+}
+
+// Cluster icons show the summed port speed of their relays; the count is in the title
+function capacityClusterIcon(cluster) {
+  const markers = cluster.getAllChildMarkers();
+  const gbps = markers.reduce((sum, m) => sum + (m.options.capacityGbps || 0), 0);
+  const size = markers.length < 10 ? 'small' : markers.length < 100 ? 'medium' : 'large';
+  return L.divIcon({
+    html: `<div title="${markers.length} relays"><span>${formatGbps(gbps)}</span></div>`,
+    className: `marker-cluster marker-cluster-${size} capacity-cluster`,
+    iconSize: L.point(46, 46)
+  });
+}
+
+// Capacity mode: one circle per city, area proportional to total port speed
+function renderCapacityLayer(relays) {
+  if (!capacityLayer) return;
+  capacityLayer.clearLayers();
+  if (!capacityMode) return;
+  const cities = new Map();
+  relays.forEach(r => {
+    const latlng = relayLatLng(r);
+    if (!latlng) return;
+    const key = latlng.join(',');
+    if (!cities.has(key)) cities.set(key, { latlng, city: r.city, country: r.country, relays: 0, gbps: 0, activeGbps: 0 });
+    const c = cities.get(key);
+    const speed = typeof r.networkPortSpeed === 'number' ? r.networkPortSpeed : 0;
+    c.relays += 1;
+    c.gbps += speed;
+    if (isRelayActive(r)) c.activeGbps += speed;
+  });
+  [...cities.values()].sort((a, b) => b.gbps - a.gbps).forEach(c => {
+    L.circleMarker(c.latlng, {
+      radius: Math.max(4, Math.sqrt(c.gbps) * 1.6),
+      color: '#1f78b4',
+      weight: 1,
+      fillColor: '#1f78b4',
+      fillOpacity: c.gbps ? 0.25 + 0.5 * (c.activeGbps / c.gbps) : 0.25
+    })
+      .bindTooltip(`${escapeHtml(c.city)}, ${escapeHtml(c.country)}: ${formatGbps(c.gbps)} across ${c.relays} relays (${formatGbps(c.activeGbps)} online)`)
+      .addTo(capacityLayer);
+  });
+}
+
+function setCapacityMode(on) {
+  if (editMode) setEditMode(false);
+  capacityMode = on;
+  document.getElementById('capacity-mode').checked = on;
+  const map = ensureMap();
+  if (on) {
+    map.removeLayer(markersLayer);
+    capacityLayer.addTo(map);
+  } else {
+    map.removeLayer(capacityLayer);
+    markersLayer.addTo(map);
+  }
+  renderCapacityLayer(filteredRelays());
+  syncMapHash();
+}
+
+// #/capacity view: capacity by country, provider and ownership from /api/stats/capacity
+function capacityBarChart(instance, canvasId, groups, labelOf) {
+  const labels = groups.map(labelOf);
+  const active = groups.map(g => g.activeCapacityGbps);
+  const inactive = groups.map(g => g.capacityGbps - g.activeCapacityGbps);
+  if (instance) {
+    instance.data.labels = labels;
+    instance.data.datasets[0].data = active;
+    instance.data.datasets[1].data = inactive;
+    instance.update();
+    return instance;
+  }
+  return new Chart(document.getElementById(canvasId).getContext('2d'), {
+    type: 'bar',
+    data: {
+      labels,
+      datasets: [
+        { label: 'Online (Gbps)', data: active, backgroundColor: '#1f78b4' },
+        { label: 'Offline (Gbps)', data: inactive, backgroundColor: '#9ca3af' }
+      ]
+    },
+    options: {
+      responsive: true,
+      maintainAspectRatio: false,
+      indexAxis: 'y',
+      scales: { x: { stacked: true, beginAtZero: true }, y: { stacked: true } }
+    }
+  });
+}
+
+async function renderCapacity() {
+  let data = null;
+  try {
+    const res = await fetch('/api/stats/capacity');
+    if (res.ok) data = await res.json();
+  } catch (e) {
+    console.warn('Failed to fetch capacity stats:', e);
+  }
+  const note = document.getElementById('capacityNote');
+  if (!data) {
+    note.textContent = 'Failed to load capacity statistics.';
+    return;
+  }
+  note.textContent = `${formatGbps(data.totals.capacityGbps)} of total port speed across ${data.totals.relays} relays, ${formatGbps(data.totals.activeCapacityGbps)} online.` +
+    (data.totals.unknownSpeed ? ` ${data.totals.unknownSpeed} relays report no port speed.` : '');
+
+  capacityCountryChartInstance = capacityBarChart(capacityCountryChartInstance, 'capacityCountryChart', data.countries.slice(0, 25), c => c.country);
+  capacityProviderChartInstance = capacityBarChart(capacityProviderChartInstance, 'capacityProviderChart', data.providers.slice(0, 20), p => p.provider);
+
+  const labels = data.ownership.map(o => o.ownership);
+  const values = data.ownership.map(o => o.capacityGbps);
+  if (capacityOwnershipChartInstance) {
+    capacityOwnershipChartInstance.data.labels = labels;
+    capacityOwnershipChartInstance.data.datasets[0].data = values;
+    capacityOwnershipChartInstance.update();
+    return;
+  }
+  capacityOwnershipChartInstance = new Chart(document.getElementById('capacityOwnershipChart').getContext('2d'), {
+    type: 'doughnut',
+    data: {
+      labels,
+      datasets: [{ data: values, backgroundColor: labels.map(l => (l === 'Mullvad' ? '#1f78b4' : '#6b7280')) }]
+    },
+    options: { responsive: true, maintainAspectRatio: false }
+  });
+}
+
+// Country choropleth view
+
+const CHOROPLETH_METRICS = {
+  relays: { label: 'Relay count', format: v => `${v}` },
+  activeRatio: { label: 'Active ratio', format: v => `${v}%`, max: 100 },
+  ownedShare: { label: 'Mullvad-owned share', format: v => `${v}%`, max: 100 },
+  wireguard: { label: 'WireGuard relays', format: v => `${v}` },
+  capacityGbps: { label: 'Total port speed', format: v => `${v} Gbps` }
+};
+const CHOROPLETH_COLORS = ['#eff6ff', '#bfdbfe', '#93c5fd', '#60a5fa', '#3b82f6', '#1d4ed8', '#1e3a8a'];
+const NO_DATA_COLOR = '#e5e7eb';
+
+async function fetchCountryBoundaries() {
+  if (countryBoundaries) return countryBoundaries;
+  const res = await fetch('/api/geo/countries');
+  if (!res.ok) throw new Error(`HTTP ${res.status}`);
+  countryBoundaries = await res.json();
+  return countryBoundaries;
+}
+
+// Equal-interval bucket boundaries from 0 to the metric's maximum
+function choroplethBreaks(values, fixedMax) {
+  const max = fixedMax != null ? fixedMax : Math.max(1, ...values);
+  const n = CHOROPLETH_COLORS.length;
+  return Array.from({ length: n }, (_, i) => (max * (i + 1)) / n);
+}
+
+function choroplethColor(value, breaks) {
+  if (value == null) return NO_DATA_COLOR;
+  const i = breaks.findIndex(b => value <= b);
+  return CHOROPLETH_COLORS[i === -1 ? CHOROPLETH_COLORS.length - 1 : i];
+}
+
+function ensureChoroplethMap() {
+  if (!choroplethMapInstance) {
+    choroplethMapInstance = L.map('choropleth-map', { worldCopyJump: true }).setView([30, 10], 2);
+    L.tileLayer('https://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png', {
+      attribution: '© OpenStreetMap contributors; boundaries: Natural Earth'
+    }).addTo(choroplethMapInstance);
+    choroplethLegend = L.control({ position: 'bottomright' });
+    choroplethLegend.onAdd = () => L.DomUtil.create('div', 'choropleth-legend');
+    choroplethLegend.addTo(choroplethMapInstance);
+  }
+  return choroplethMapInstance;
+}
+
+function renderChoroplethLegend(metric, breaks) {
+  const def = CHOROPLETH_METRICS[metric];
+  const el = choroplethLegend.getContainer();
+  const round = v => (Number.isInteger(v) ? v : Math.round(v * 10) / 10);
+  let from = 0;
+  const rows = breaks.map((b, i) => {
+    const row = `<div><i style="background:${CHOROPLETH_COLORS[i]}"></i>${def.format(round(from))} – ${def.format(round(b))}</div>`;
+    from = b;
+    return row;
+  }).join('');
+  el.innerHTML = `<strong>${def.label}</strong>${rows}<div><i style="background:${NO_DATA_COLOR}"></i>No relays</div>`;
+}
+
+async function renderCountries() {
+  const map = ensureChoroplethMap();
+  map.invalidateSize();
+  const metric = document.getElementById('choropleth-metric').value;
+  const def = CHOROPLETH_METRICS[metric];
+
+  let boundaries;
+  let stats;
+  try {
+    const [geo, res] = await Promise.all([fetchCountryBoundaries(), fetch('/api/stats/countries')]);
+    boundaries = geo;
+    stats = res.ok ? (await res.json()).countries : [];
+  } catch (e) {
+    console.warn('Failed to load choropleth data:', e);
+    return;
+  }
+
+  const byCode = new Map(stats.map(c => [c.countryCode, c]));
+  const breaks = choroplethBreaks(stats.map(c => c[metric]), def.max);
+
+  if (choroplethLayer) choroplethLayer.remove();
+  choroplethLayer = L.geoJSON(boundaries, {
+    style: f => {
+      const c = byCode.get(f.properties.iso_a2);
+      return {
+        fillColor: choroplethColor(c ? c[metric] : null, breaks),
+        fillOpacity: c ? 0.8 : 0.4,
+        color: '#ffffff',
+        weight: 1
+      };
+    },
+    onEachFeature: (f, layer) => {
+      const c = byCode.get(f.properties.iso_a2);
+      const tip = c
+        ? `<strong>${escapeHtml(c.country)}</strong><br>${def.label}: ${def.format(c[metric])}<br>${c.relays} relays, ${c.active} active`
+        : `<strong>${escapeHtml(f.properties.name)}</strong><br>No relays`;
+      layer.bindTooltip(tip, { sticky: true });
+      layer.on('mouseover', () => layer.setStyle({ weight: 2, color: '#111827' }));
+      layer.on('mouseout', () => choroplethLayer.resetStyle(layer));
+      if (c) layer.on('click', () => { location.hash = `#/map?country=${encodeURIComponent(c.countryCode)}`; });
+    }
+  }).addTo(map);
+  renderChoroplethLegend(metric, breaks);
+}
+
+// Hash-based navigation: hash path -> section / nav link ids
+const VIEWS = [
+  { hash: '#/map', view: 'view-map', nav: 'nav-map', onShow: showMapView },
+  { hash: '#/ownership', view: 'view-ownership', nav: 'nav-ownership' },
+  { hash: '#/protocols', view: 'view-protocols', nav: 'nav-protocols' },
+  { hash: '#/countries', view: 'view-countries', nav: 'nav-countries', onShow: renderCountries },
+  { hash: '#/providers', view: 'view-providers', nav: 'nav-providers', onShow: renderProviders },
+  { hash: '#/capacity', view: 'view-capacity', nav: 'nav-capacity', onShow: renderCapacity },
+  { hash: '#/reliability', view: 'view-reliability', nav: 'nav-reliability', onShow: renderReliability },
+  { hash: '#/incidents', view: 'view-incidents', nav: 'nav-incidents', onShow: renderIncidents },
+  { prefix: '#/relay/', view: 'view-relay', onShow: showRelayView }
+];
+
+function findView(path) {
+  return VIEWS.find(v => v.hash === path || (v.prefix && path.startsWith(v.prefix))) || VIEWS[0];
+}
+
+function updateActiveNav(path) {
+  document.querySelectorAll('.nav-link').forEach(n => n.classList.remove('active'));
+  const nav = findView(path).nav;
+  if (nav) document.getElementById(nav).classList.add('active');
+}
+
+function showView(path, params) {
+  const current = findView(path);
+  VIEWS.forEach(v => {
+    document.getElementById(v.view).style.display = (v === current) ? 'block' : 'none';
+  });
+  if (current.onShow) current.onShow(params, path);
 }
 
 function onHashChange() {
-  const hash = location.hash || '#/map';
-  showView(hash);
-  updateActiveNav(hash);
+  const { path, params } = parseHash(location.hash);
+  showView(path, params);
+  updateActiveNav(path);
 }
 
-async function init() {
-  const relays = await fetchRelays();
-  renderMap(relays);
+// Small transient notification in the corner of the page
+let toastTimer;
+function showToast(message) {
+  const el = document.getElementById('toast');
+  el.textContent = message;
+  el.classList.add('visible');
+  clearTimeout(toastTimer);
+  toastTimer = setTimeout(() => el.classList.remove('visible'), 5000);
+}
+
+function renderAll(relays, options) {
+  renderMap(relays, options);
+  renderCapacityLayer(relays);
+  renderInfrastructure(relays);
   renderOwnership(relays);
   renderProtocols(relays);
+}
+
+function setRelays(relays) {
+  relaysById = new Map(relays.filter(r => r && r.id).map(r => [r.id, r]));
+}
+
+// Live updates from /api/events. The browser's EventSource reconnects on its own
+// and sends Last-Event-ID; if the stream is closed for good we reopen it with
+// ?lastEventId= so the server can replay what we missed.
+let eventSource;
+let lastEventId = null;
+let reconnectDelay = 1000;
+let changedSinceToast = 0;
+
+// The stream is opened before the relays are fetched so nothing published in
+// between is missed; events are held back until init() has loaded the relays
+// and built the map, then replayed in order (they are idempotent against the
+// fetched list)
+let eventsReady = false;
+const pendingEvents = [];
+
+function onEvent(type, handler) {
+  eventSource.addEventListener(type, e => {
+    if (eventsReady) handler(e);
+    else pendingEvents.push(() => handler(e));
+  });
+}
+
+function flushPendingEvents() {
+  eventsReady = true;
+  pendingEvents.splice(0).forEach(run => run());
+}
+
+function subscribeToEvents() {
+  if (!window.EventSource) return;
+  const url = lastEventId ? `/api/events?lastEventId=${encodeURIComponent(lastEventId)}` : '/api/events';
+  eventSource = new EventSource(url);
+
+  const track = e => {
+    if (e.lastEventId) lastEventId = e.lastEventId;
+    reconnectDelay = 1000;
+  };
+
+  onEvent('hello', track);
+
+  onEvent('relay-added', e => {
+    track(e);
+    const r = JSON.parse(e.data);
+    relaysById.set(r.id, r);
+    removeRelayMarker(r.id);
+    addRelayMarker(r);
+    changedSinceToast += 1;
+  });
+
+  onEvent('relay-removed', e => {
+    track(e);
+    const { id } = JSON.parse(e.data);
+    relaysById.delete(id);
+    removeRelayMarker(id);
+    changedSinceToast += 1;
+  });
+
+  onEvent('relay-status', e => {
+    track(e);
+    const { id, active } = JSON.parse(e.data);
+    const r = relaysById.get(id);
+    if (!r) return;
+    const next = { ...r, active };
+    relaysById.set(id, next);
+    updateRelayMarker(next);
+    changedSinceToast += 1;
+  });
+
+  onEvent('relay-updated', e => {
+    track(e);
+    const r = JSON.parse(e.data);
+    relaysById.set(r.id, r);
+    updateRelayMarker(r);
+    changedSinceToast += 1;
+  });
+
+  // End of a batch: refresh charts and tell the user
+  onEvent('changeset', e => {
+    track(e);
+    const relays = filteredRelays();
+    renderOwnership(relays);
+    renderProtocols(relays);
+    renderInfrastructure(relays);
+    renderCapacityLayer(relays);
+    populateFilterOptions();
+    updateFilterCount(relays.length);
+    updateConfigZipLink(relays);
+    if (mapInstance.hasLayer(coverageLayer)) loadCoverage();
+    if (editMode && !pendingEdit) renderEditLayer();
+    const { path, params } = parseHash(location.hash);
+    if (path.startsWith('#/relay/')) showRelayView(null, path);
+    if (path === '#/incidents') renderIncidents(params);
+    if (changedSinceToast > 0) showToast(`${changedSinceToast} relay${changedSinceToast === 1 ? '' : 's'} changed`);
+    changedSinceToast = 0;
+  });
+
+  // Missed events can't be replayed (server restarted or too far behind): reload everything
+  onEvent('resync', async e => {
+    track(e);
+    setRelays(await fetchRelays());
+    populateFilterOptions();
+    applyFilters({ fit: false });
+    changedSinceToast = 0;
+    showToast('Relay data refreshed');
+  });
+
+  eventSource.onerror = () => {
+    if (eventSource.readyState !== EventSource.CLOSED) return;
+    setTimeout(subscribeToEvents, reconnectDelay);
+    reconnectDelay = Math.min(reconnectDelay * 2, 60000);
+  };
+}
+
+async function init() {
+  subscribeToEvents();
+  setRelays(await fetchRelays());
+  // filters from a shared link apply to the charts too, even if the map isn't shown first
+  const { path, params } = parseHash(location.hash);
+  if (path === '#/map') {
+    filters = filtersFromParams(params);
+    mapPosition = positionFromParams(params);
+  }
+  initFilterPanel();
+  initNearest();
+  initPlanner();
+  initCoordinateEditing();
+  initChartGrouping();
+  initRelaySearch();
+  document.getElementById('choropleth-metric').addEventListener('change', renderCountries);
+  document.getElementById('providersBody').addEventListener('click', e => {
+    const row = e.target.closest('tr[data-href]');
+    if (row && !e.target.closest('a')) location.hash = row.dataset.href;
+  });
+  populateFilterOptions();
+  applyFilters({ fit: !mapPosition });
+  if (mapPosition) mapInstance.setView(mapPosition.c, mapPosition.z);
   window.addEventListener('hashchange', onHashChange);
   onHashChange();
+  flushPendingEvents();
 }
 
 document.addEventListener('DOMContentLoaded', init);
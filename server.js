@@ -1,7 +1,32 @@
 import express from 'express';
 import path from 'path';
 import { fileURLToPath } from 'url';
-import { mkdir, readFile } from 'fs/promises';
+import { mkdir } from 'fs/promises';
+import { createHash, timingSafeEqual } from 'crypto';
+import { toV1Relay, SUPPORTED_SCHEMA_VERSIONS } from './lib/schema.js';
+import { EXPORT_FORMATS, exportFilename, serializeRelays } from './lib/export.js';
+import {
+  resolveWireGuardRelays, WireGuardConfigError, wireguardConfig, wireguardConfigFilename, wireguardUnsuitability
+} from './lib/wireguard.js';
+import { createZip } from './lib/zip.js';
+import { parseMultihopQuery, suggestMultihop } from './lib/multihop.js';
+import { lookupCity, nearestRelays, parseNearestQuery } from './lib/nearest.js';
+import { readCityCoordinates, reapplyCoordinates } from './lib/ingest.js';
+import { GeocoderError, geocoderCounts, geocoderFromEnv } from './lib/geocoder.js';
+import {
+  CoordinateOverrideError, deleteCoordinateOverride, isOverrideKey, overrideKey, readCoordinateOverrides, setCoordinateOverride
+} from './lib/coordinate-overrides.js';
+import { computeCoverage, largestGaps } from './lib/coverage.js';
+import { buildIncidents, DEFAULT_INCIDENT_LIMIT, FEED_FORMATS, incidentFeed } from './lib/incidents.js';
+import { applyRelayQuery, FILTER_PARAMS, matchesRelayQuery, parseRelayQuery, QueryError, selectFields } from './lib/query.js';
+import { capacityStats, countryStats, providerStats, regionStats } from './lib/stats.js';
+import { loadCountryReference, REGION_GROUPINGS } from './lib/countries.js';
+import { changesSince, isSnapshotId, listSnapshots, readSnapshot, readSnapshotDiff } from './lib/snapshots.js';
+import { leastReliable, relayHistory } from './lib/history.js';
+import { DatasetStore } from './lib/store.js';
+import { RefreshScheduler, refreshConfigFromEnv } from './lib/scheduler.js';
+import { RelayEventHub } from './lib/events.js';
+import { CONTENT_TYPE as METRICS_CONTENT_TYPE, httpMetrics, MetricsRegistry, relayGaugeCollector } from './lib/metrics.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -9,58 +34,598 @@ const __dirname = path.dirname(__filename);
 const app = express();
 const PORT = process.env.PORT || 3000;
 
+// Parsed data/relays.json kept in memory; swapped on refresh or when the file changes
+const store = new DatasetStore();
+const scheduler = new RefreshScheduler(store, refreshConfigFromEnv());
+const events = new RelayEventHub();
+// Geocoder behind /api/geocode (lib/geocoder.js; rate-limited and cached on disk)
+const geocoder = geocoderFromEnv();
+
+// Prometheus metrics (/metrics): HTTP counters/latencies, geocode calls, and
+// gauges computed from the store and scheduler at scrape time
+const metrics = new MetricsRegistry();
+const geocodeRequests = metrics.counter('mullvad_geocode_requests_total', 'Calls to /api/geocode.');
+const geocodeErrors = metrics.counter('mullvad_geocode_errors_total', 'Failed /api/geocode calls by reason.');
+metrics.collect(relayGaugeCollector(store));
+// Geocoder cache and provider activity, including lookups that did not come from /api/geocode
+metrics.collect(() => {
+  const { cache, upstream } = geocoderCounts();
+  return [
+    {
+      name: 'mullvad_geocoder_cache_lookups_total',
+      help: 'Geocode cache lookups by result (hit or miss).',
+      type: 'counter',
+      samples: cache.map(({ result, value }) => ({ labels: { result }, value }))
+    },
+    {
+      name: 'mullvad_geocoder_upstream_requests_total',
+      help: 'Geocoder provider lookups by provider and outcome (ok or the error reason, e.g. rate_limited).',
+      type: 'counter',
+      samples: upstream.map(({ provider, outcome, value }) => ({ labels: { provider, outcome }, value }))
+    }
+  ];
+});
+metrics.collect(() => {
+  const refresh = scheduler.status();
+  const generated = Date.parse(store.dataset.generatedAt || '');
+  const failing = !!(refresh.lastError && (!refresh.lastSuccessAt || refresh.lastError.at > refresh.lastSuccessAt));
+  const lastResult = failing ? 'error' : (refresh.lastResult ? refresh.lastResult.status : null);
+  const gauge = (name, help, value, labels = {}) => ({ name, help, type: 'gauge', samples: [{ labels, value }] });
+  return [
+    gauge('mullvad_dataset_relays', 'Relays in the served dataset.', store.relays.length),
+    gauge('mullvad_dataset_age_seconds', 'Seconds since the served dataset was generated.', store.ageSeconds()),
+    gauge('mullvad_dataset_generated_timestamp_seconds', 'Unix time the served dataset was generated.',
+      Number.isNaN(generated) ? null : generated / 1000),
+    gauge('mullvad_dataset_load_error', '1 when the last reload of data/relays.json failed.', store.lastLoadError ? 1 : 0),
+    gauge('mullvad_ingest_last_duration_seconds', 'Duration of the last scheduled ingest.',
+      refresh.lastDurationMs == null ? null : refresh.lastDurationMs / 1000),
+    {
+      name: 'mullvad_ingest_last_result',
+      help: 'Outcome of the last scheduled ingest (1 for the current result).',
+      type: 'gauge',
+      samples: ['updated', 'not-modified', 'error'].map(result => ({ labels: { result }, value: lastResult === result ? 1 : 0 }))
+    },
+    {
+      name: 'mullvad_ingest_runs_total',
+      help: 'Scheduled ingest runs by outcome since the server started.',
+      type: 'counter',
+      samples: Object.entries(refresh.runs).map(([result, value]) => ({ labels: { result }, value }))
+    },
+    gauge('mullvad_ingest_consecutive_failures', 'Scheduled ingest failures since the last success.', refresh.consecutiveFailures)
+  ];
+});
+
+// Parse relay query parameters (lib/query.js); on invalid input send a 400 and return null
+function parseQueryOr400(req, res, options) {
+  try {
+    return parseRelayQuery(req.query, options);
+  } catch (err) {
+    if (!(err instanceof QueryError)) throw err;
+    res.status(err.status).json({ error: err.message, details: err.details });
+    return null;
+  }
+}
+
+app.use(httpMetrics(metrics));
+
 // Serve static frontend assets
 app.use(express.static(path.join(__dirname, 'public')));
 
-// API endpoint to fetch relays data
-app.get('/api/relays', async (req, res) => {
-  const dataPath = path.join(__dirname, 'data', 'relays.json');
+// Send the relays matching the request query, as JSON or one of the export
+// formats from lib/export.js (`format` comes from the path extension or ?format=).
+// Exports have no legacy consumers, so they default to the full v2 fields.
+function sendRelays(req, res, format) {
+  const schema = req.query.schema == null ? (format === 'json' ? 1 : 2) : Number(req.query.schema);
+  if (!SUPPORTED_SCHEMA_VERSIONS.includes(schema)) {
+    return res.status(400).json({ error: `unsupported schema version; expected one of ${SUPPORTED_SCHEMA_VERSIONS.join(', ')}` });
+  }
+  if (format !== 'json' && !EXPORT_FORMATS[format]) {
+    return res.status(400).json({ error: `unsupported format; expected one of json, ${Object.keys(EXPORT_FORMATS).join(', ')}` });
+  }
+
+  const query = parseQueryOr400(req, res, { schema, extraParams: req.params.format ? [] : ['format'] });
+  if (!query) return;
+
+  const dataset = store.dataset;
+  const page = applyRelayQuery(dataset.relays, query);
+  const project = schema === 1 ? toV1Relay : (r => r);
+  const relays = page.relays.map(r => selectFields(project(r), query.fields));
+
+  if (format !== 'json') {
+    res.set('X-Total-Count', String(page.total));
+    // attachment() guesses a type from the extension, so set ours afterwards
+    res.attachment(exportFilename(format, dataset.generatedAt));
+    res.type(EXPORT_FORMATS[format].contentType);
+    return res.send(serializeRelays(format, relays, { generatedAt: dataset.generatedAt }));
+  }
+  if (schema === 1) {
+    res.set('X-Total-Count', String(page.total));
+    return res.json(relays);
+  }
+  return res.json({
+    schemaVersion: 2,
+    generatedAt: dataset.generatedAt,
+    total: page.total,
+    offset: page.offset,
+    limit: page.limit,
+    relays
+  });
+}
+
+// API endpoint to fetch relays data.
+// ?schema=1 (default) returns the legacy bare array with the total match count
+// in the X-Total-Count header; ?schema=2 returns the
+// { schemaVersion, generatedAt, total, offset, limit, relays } envelope.
+// Filtering, sorting, field selection and pagination: see lib/query.js.
+// ?format=geojson|csv|kml|ndjson downloads the same selection as a file.
+app.get('/api/relays', (req, res) => {
+  const format = req.query.format == null ? 'json' : String(req.query.format).toLowerCase();
+  sendRelays(req, res, format);
+});
+
+// Export downloads: /api/relays.geojson, .csv, .kml, .ndjson (same parameters as /api/relays)
+app.get('/api/relays.:format(geojson|csv|kml|ndjson)', (req, res) => {
+  sendRelays(req, res, req.params.format);
+});
+
+// Provider breakdown and per-country provider dependence; accepts the /api/relays filters
+app.get('/api/stats/providers', (req, res) => {
+  const query = parseQueryOr400(req, res, { filtersOnly: true });
+  if (!query) return;
+  const relays = store.relays.filter(r => matchesRelayQuery(r, query));
+  res.json({ generatedAt: store.dataset.generatedAt, ...providerStats(relays) });
+});
+
+// Per-country metrics for the choropleth; accepts the /api/relays filters
+app.get('/api/stats/countries', (req, res) => {
+  const query = parseQueryOr400(req, res, { filtersOnly: true });
+  if (!query) return;
+  const relays = store.relays.filter(r => matchesRelayQuery(r, query));
+  res.json({ generatedAt: store.dataset.generatedAt, countries: countryStats(relays) });
+});
+
+// Total port speed by country, provider, ownership and city; accepts the /api/relays filters
+app.get('/api/stats/capacity', (req, res) => {
+  const query = parseQueryOr400(req, res, { filtersOnly: true });
+  if (!query) return;
+  const relays = store.relays.filter(r => matchesRelayQuery(r, query));
+  res.json({ generatedAt: store.dataset.generatedAt, ...capacityStats(relays) });
+});
+
+// Relays rolled up by continent or subregion (?by=, default continent); accepts the /api/relays filters
+app.get('/api/stats/regions', async (req, res) => {
+  const query = parseQueryOr400(req, res, { filtersOnly: true, extraParams: ['by'] });
+  if (!query) return;
+  const by = req.query.by == null ? 'continent' : req.query.by;
+  if (!REGION_GROUPINGS.includes(by)) {
+    return res.status(400).json({ error: 'invalid query parameters', details: [`by: expected one of ${REGION_GROUPINGS.join(', ')}`] });
+  }
   try {
-    const contents = await readFile(dataPath, 'utf8');
-    const data = JSON.parse(contents);
-    res.json(data);
+    const reference = await loadCountryReference();
+    const relays = store.relays.filter(r => matchesRelayQuery(r, query));
+    res.json({ generatedAt: store.dataset.generatedAt, ...regionStats(relays, reference, by) });
   } catch (err) {
-    // If file doesn't exist or parsing fails, return empty array
-    res.json([]);
+    res.status(500).json({ error: 'failed to compute region stats', message: err && err.message ? err.message : String(err) });
   }
 });
 
-// On-demand geocoding endpoint (uses Nominatim). This is intended for
-// ad-hoc lookups when a new city appears in the Mullvad relays API.
-// NOTE: Nominatim is rate-limited; avoid automated high-volume usage.
+// Bundled ISO 3166 country reference (lib/countries.js): names, codes, centroids and regions
+app.get('/api/countries', async (req, res) => {
+  try {
+    const reference = await loadCountryReference();
+    res.set('Cache-Control', 'public, max-age=86400');
+    res.json({ countries: [...reference.values()] });
+  } catch (err) {
+    res.status(500).json({ error: 'failed to load the country reference', message: err && err.message ? err.message : String(err) });
+  }
+});
+
+// Bundled country boundaries (Natural Earth via world-atlas), joined on properties.iso_a2
+app.get('/api/geo/countries', (req, res) => {
+  res.type('application/geo+json');
+  res.sendFile(path.join(__dirname, 'data', 'world-countries.geojson'), { maxAge: '1d' });
+});
+
+// Shared ?via= / ?ipv6= handling for the WireGuard routes; sends a 400 and returns null on bad input
+function parseWireGuardOptions(req, res, allowed) {
+  const details = Object.keys(req.query).filter(k => !allowed.includes(k)).map(k => `${k}: unknown parameter`);
+  for (const k of ['relay', 'via', 'ipv6']) {
+    if (Array.isArray(req.query[k])) details.push(`${k}: may only be given once`);
+  }
+  const ipv6 = req.query.ipv6 == null ? 'false' : String(req.query.ipv6).toLowerCase();
+  if (!['true', 'false', '1', '0'].includes(ipv6)) details.push(`ipv6: expected true or false, got "${req.query.ipv6}"`);
+  if (details.length) {
+    res.status(400).json({ error: 'invalid query parameters', details });
+    return null;
+  }
+  return { via: req.query.via || null, ipv6: ipv6 === 'true' || ipv6 === '1' };
+}
+
+function sendWireGuardError(res, err) {
+  if (!(err instanceof WireGuardConfigError)) throw err;
+  res.status(err.status).json({ error: err.message });
+}
+
+// wg-quick config template for one active WireGuard relay.
+// ?relay=<id> (required), ?via=<entry relay id> for multihop, ?ipv6=true for an IPv6 endpoint.
+app.get('/api/wireguard/config', (req, res) => {
+  const options = parseWireGuardOptions(req, res, ['relay', 'via', 'ipv6']);
+  if (!options) return;
+  if (!req.query.relay) return res.status(400).json({ error: 'missing relay parameter' });
+  try {
+    const { exit, entry } = resolveWireGuardRelays(store.relays, req.query.relay, options.via);
+    const config = wireguardConfig(exit, { entry, ipv6: options.ipv6, generatedAt: store.dataset.generatedAt });
+    res.attachment(wireguardConfigFilename(exit, entry));
+    res.type('text/plain');
+    res.send(config);
+  } catch (err) {
+    sendWireGuardError(res, err);
+  }
+});
+
+// Zip of config templates for every active WireGuard relay matching the /api/relays
+// filters; inactive and non-WireGuard matches are skipped and listed in README.txt.
+app.get('/api/wireguard/configs.zip', (req, res) => {
+  const options = parseWireGuardOptions(req, res, [...FILTER_PARAMS, 'via', 'ipv6']);
+  if (!options) return;
+  const query = parseQueryOr400(req, res, { filtersOnly: true, extraParams: ['via', 'ipv6'] });
+  if (!query) return;
+
+  const generatedAt = store.dataset.generatedAt;
+  const files = [];
+  const skipped = [];
+  try {
+    const entry = options.via ? resolveWireGuardRelays(store.relays, options.via).exit : null;
+    for (const r of store.relays.filter(r => matchesRelayQuery(r, query))) {
+      const problem = wireguardUnsuitability(r) ||
+        (entry && r.id === entry.id ? { message: `${r.id} is the multihop entry` } : null) ||
+        (entry && !r.multihopPort ? { message: `${r.id} has no multihop port` } : null);
+      if (problem) {
+        skipped.push(problem.message);
+        continue;
+      }
+      files.push({
+        name: wireguardConfigFilename(r, entry),
+        data: wireguardConfig(r, { entry, ipv6: options.ipv6, generatedAt })
+      });
+    }
+  } catch (err) {
+    return sendWireGuardError(res, err);
+  }
+  if (files.length === 0) {
+    return res.status(404).json({ error: 'no active WireGuard relays match the filters', skipped: skipped.length });
+  }
+
+  const readme = [
+    `${files.length} WireGuard config templates${generatedAt ? ` from the relay list of ${generatedAt}` : ''}.`,
+    'Fill in the private key and addresses of your Mullvad device in each file before use.',
+    ...(skipped.length ? ['', `Skipped ${skipped.length} matching relays:`, ...skipped.map(m => `- ${m}`)] : [])
+  ].join('\n') + '\n';
+  files.push({ name: 'README.txt', data: readme });
+
+  res.attachment(`mullvad-wireguard-configs${options.via ? `-via-${options.via}` : ''}.zip`);
+  res.send(createZip(files));
+});
+
+// Ranked multihop (entry, exit) relay pairs; ?entry=&exit= country, optional ?from=lat,lon&limit=
+app.get('/api/multihop/suggest', (req, res) => {
+  let query;
+  try {
+    query = parseMultihopQuery(req.query);
+  } catch (err) {
+    if (!(err instanceof QueryError)) throw err;
+    return res.status(err.status).json({ error: err.message, details: err.details });
+  }
+  res.json({ generatedAt: store.dataset.generatedAt, ...query, ...suggestMultihop(store.relays, query) });
+});
+
+// Largest coverage gaps: land areas furthest from any active relay (see lib/coverage.js)
+app.get('/api/coverage', async (req, res) => {
+  const limit = req.query.limit == null ? 10 : Number(req.query.limit);
+  if (!Number.isInteger(limit) || limit < 1 || limit > 100) {
+    return res.status(400).json({ error: 'invalid limit; expected an integer between 1 and 100' });
+  }
+  try {
+    const { cells, ...coverage } = await computeCoverage(store.dataset);
+    res.json({ ...coverage, gaps: largestGaps({ cells }, limit) });
+  } catch (err) {
+    res.status(500).json({ error: 'failed to compute coverage', message: err && err.message ? err.message : String(err) });
+  }
+});
+
+// Distance to the nearest active relay for every land grid cell, as [lat, lon, km] rows (map overlay)
+app.get('/api/coverage/grid', async (req, res) => {
+  try {
+    const { cells, ...coverage } = await computeCoverage(store.dataset);
+    res.json({ ...coverage, cells: cells.map(c => [c.lat, c.lon, c.distanceKm]) });
+  } catch (err) {
+    res.status(500).json({ error: 'failed to compute coverage', message: err && err.message ? err.message : String(err) });
+  }
+});
+
+// Server-Sent Events stream of relay add/remove/status changes (see lib/events.js)
+app.get('/api/events', events.handler());
+
+// k nearest relays to ?lat=&lon= or a city (?near=Gothenburg), with the /api/relays filters.
+// Country-centroid placements are skipped unless ?approximate=true.
+app.get('/api/relays/nearest', async (req, res) => {
+  let query;
+  try {
+    query = parseNearestQuery(req.query);
+  } catch (err) {
+    if (!(err instanceof QueryError)) throw err;
+    return res.status(err.status).json({ error: err.message, details: err.details });
+  }
+
+  let origin = { lat: query.lat, lon: query.lon, name: null };
+  if (query.near) {
+    const city = lookupCity(await readCityCoordinates(), query.near);
+    if (!city) return res.status(404).json({ error: `no coordinates known for "${query.near}"` });
+    origin = city;
+  }
+  const result = nearestRelays(store.relays, [origin.lat, origin.lon], query);
+  res.json({ generatedAt: store.dataset.generatedAt, origin, k: query.k, ...result });
+});
+
+// Availability history of one relay across the retained snapshots
+app.get('/api/relays/:id/history', async (req, res) => {
+  try {
+    const history = await relayHistory(req.params.id);
+    if (!history) return res.status(404).json({ error: 'relay not found in snapshot history' });
+    res.json(history);
+  } catch (err) {
+    res.status(500).json({ error: 'failed to compute relay history', message: err && err.message ? err.message : String(err) });
+  }
+});
+
+// Status message incidents for the relays matching the filters; sends a 400 and returns null on bad input
+function queryIncidents(req, res) {
+  const query = parseQueryOr400(req, res, { filtersOnly: true, extraParams: ['limit'] });
+  if (!query) return null;
+  // limit is validated by parseRelayQuery (1..MAX_LIMIT)
+  const limit = query.limit != null ? query.limit : DEFAULT_INCIDENT_LIMIT;
+  const relays = store.relays.filter(r => r.statusMessages.length > 0 && matchesRelayQuery(r, query));
+  const incidents = buildIncidents(relays);
+  return { relays: relays.length, total: incidents.length, incidents: incidents.slice(0, limit) };
+}
+
+app.get('/api/incidents', (req, res) => {
+  const result = queryIncidents(req, res);
+  if (!result) return;
+  res.json({ generatedAt: store.dataset.generatedAt, ...result });
+});
+
+// Atom / RSS feeds of the same incidents, newest first
+app.get('/api/incidents.:format(atom|rss)', (req, res) => {
+  const result = queryIncidents(req, res);
+  if (!result) return;
+  const baseUrl = `${req.protocol}://${req.get('host')}`;
+  res.type(FEED_FORMATS[req.params.format].contentType);
+  res.send(incidentFeed(req.params.format, result.incidents, { baseUrl, generatedAt: store.dataset.generatedAt }));
+});
+
+// Least reliable relays (lowest availability, then most state flips)
+app.get('/api/reliability', async (req, res) => {
+  const limit = req.query.limit == null ? 20 : Number(req.query.limit);
+  if (!Number.isInteger(limit) || limit < 1 || limit > 500) {
+    return res.status(400).json({ error: 'invalid limit; expected an integer between 1 and 500' });
+  }
+  try {
+    res.json(await leastReliable({ limit }));
+  } catch (err) {
+    res.status(500).json({ error: 'failed to rank relays', message: err && err.message ? err.message : String(err) });
+  }
+});
+
+// Snapshot history written by each ingest run (oldest first)
+app.get('/api/snapshots', async (req, res) => {
+  try {
+    const snapshots = await listSnapshots();
+    res.json({ count: snapshots.length, snapshots });
+  } catch (err) {
+    res.status(500).json({ error: 'failed to read snapshot index', message: err && err.message ? err.message : String(err) });
+  }
+});
+
+// A single snapshot dataset together with its diff against the previous one
+app.get('/api/snapshots/:id', async (req, res) => {
+  const id = req.params.id;
+  if (!isSnapshotId(id)) return res.status(400).json({ error: 'invalid snapshot id; expected e.g. 20250101T120000Z' });
+  try {
+    const [dataset, diff] = await Promise.all([readSnapshot(id), readSnapshotDiff(id)]);
+    res.json({ id, ...dataset, diff });
+  } catch (err) {
+    if (err && err.code === 'ENOENT') return res.status(404).json({ error: 'snapshot not found' });
+    res.status(500).json({ error: 'failed to read snapshot', message: err && err.message ? err.message : String(err) });
+  }
+});
+
+// Per-ingest diffs taken after ?since= (ISO timestamp or snapshot id); all retained diffs when omitted
+app.get('/api/changes', async (req, res) => {
+  const since = req.query.since;
+  if (since != null && (typeof since !== 'string' || (!isSnapshotId(since) && Number.isNaN(Date.parse(since))))) {
+    return res.status(400).json({ error: 'invalid since parameter; expected an ISO timestamp or snapshot id' });
+  }
+  try {
+    const changes = await changesSince(since);
+    res.json({ since: since || null, count: changes.length, changes });
+  } catch (err) {
+    res.status(500).json({ error: 'failed to read changes', message: err && err.message ? err.message : String(err) });
+  }
+});
+
+// Ad-hoc city lookup (?city=&country=). Requests share the geocoder's rate
+// limiter and disk cache with tools/update-city-coords.js; when too many are
+// queued the endpoint answers 429.
 app.get('/api/geocode', async (req, res) => {
+  geocodeRequests.inc();
   const city = (req.query.city || '').toString().trim();
-  if (!city) return res.status(400).json({ error: 'missing city query parameter' });
+  const country = req.query.country == null ? null : String(req.query.country).trim().toUpperCase();
+  if (!city || (country != null && !/^[A-Z]{2}$/.test(country))) {
+    geocodeErrors.inc({ reason: 'bad_request' });
+    return res.status(400).json({ error: city ? 'invalid country; expected a two-letter country code' : 'missing city query parameter' });
+  }
 
-  const url = `https://nominatim.openstreetmap.org/search?city=${encodeURIComponent(city)}&format=json&limit=1`;
   try {
-    const headers = {
-      'User-Agent': 'mullvad-viz/1.0 (+https://github.com/your-org/mullvad-viz)',
-      'Accept': 'application/json'
-    };
-    const r = await fetch(url, { headers });
-    if (!r.ok) {
-      return res.status(502).json({ error: 'geocode request failed', status: r.status, statusText: r.statusText });
-    }
-    const json = await r.json();
-    if (!Array.isArray(json) || json.length === 0) {
+    const result = await geocoder.geocode(city, { countryCode: country });
+    if (!result) {
+      geocodeErrors.inc({ reason: 'not_found' });
       return res.status(404).json({ error: 'not found' });
     }
-    const entry = json[0];
-    const lat = parseFloat(entry.lat);
-    const lon = parseFloat(entry.lon);
-    if (!Number.isFinite(lat) || !Number.isFinite(lon)) {
-      return res.status(502).json({ error: 'invalid coordinates returned' });
+    return res.json(result);
+  } catch (err) {
+    if (!(err instanceof GeocoderError)) {
+      geocodeErrors.inc({ reason: 'exception' });
+      return res.status(500).json({ error: err && err.message ? err.message : String(err) });
+    }
+    geocodeErrors.inc({ reason: err.reason });
+    if (err.reason === 'rate_limited') {
+      res.set('Retry-After', '5');
+      return res.status(429).json({ error: 'too many geocode requests; try again later' });
+    }
+    return res.status(502).json({ error: 'geocode request failed', message: err.message, status: err.status });
+  }
+});
+
+// Coordinate overrides (lib/coordinate-overrides.js). Reading is public;
+// changes need `Authorization: Bearer <COORDINATES_TOKEN>` and are disabled
+// when the variable is unset.
+const COORDINATES_TOKEN = process.env.COORDINATES_TOKEN || '';
+const DEFAULT_OVERRIDE_HISTORY_LIMIT = 100;
+
+function requireCoordinatesToken(req, res, next) {
+  if (!COORDINATES_TOKEN) return res.status(503).json({ error: 'coordinate editing is disabled; set COORDINATES_TOKEN to enable it' });
+  const match = /^Bearer\s+(.+)$/i.exec(req.get('Authorization') || '');
+  // compare digests so the comparison takes the same time whatever was sent
+  const digest = v => createHash('sha256').update(v).digest();
+  if (!match || !timingSafeEqual(digest(match[1].trim()), digest(COORDINATES_TOKEN))) {
+    res.set('WWW-Authenticate', 'Bearer');
+    return res.status(401).json({ error: 'missing or invalid token' });
+  }
+  next();
+}
+
+// Number of served relays per override key
+function relaysPerCity() {
+  const counts = new Map();
+  for (const r of store.relays) {
+    const key = overrideKey(r.countryCode, r.cityCode);
+    counts.set(key, (counts.get(key) || 0) + 1);
+  }
+  return counts;
+}
+
+// Move the served relays to the current overrides; the next ingest would do
+// the same, so a failure here is only logged
+async function reapplyOverrides() {
+  try {
+    const { dataset, moved, changed } = await reapplyCoordinates(store.dataset);
+    if (changed) {
+      await store.markWritten();
+      store.set(dataset, { source: 'overrides' });
     }
-    return res.json({ lat, lon, display_name: entry.display_name || null });
+    return moved.length;
+  } catch (err) {
+    console.error('Failed to apply coordinate overrides to the dataset:', err && err.message ? err.message : err);
+    return null;
+  }
+}
+
+function sendOverrideError(res, err, action) {
+  if (err instanceof CoordinateOverrideError) return res.status(err.status).json({ error: err.message, details: err.details });
+  return res.status(500).json({ error: `failed to ${action}`, message: err && err.message ? err.message : String(err) });
+}
+
+app.get('/api/coordinates', async (req, res) => {
+  try {
+    const { overrides } = await readCoordinateOverrides();
+    const counts = relaysPerCity();
+    const list = Object.entries(overrides)
+      .sort(([a], [b]) => a.localeCompare(b))
+      .map(([key, o]) => ({ key, ...o, relays: counts.get(key) || 0 }));
+    res.json({ count: list.length, overrides: list });
+  } catch (err) {
+    sendOverrideError(res, err, 'read coordinate overrides');
+  }
+});
+
+// Audit trail, newest first (?key= for one city, ?limit=)
+app.get('/api/coordinates/history', async (req, res) => {
+  const limit = req.query.limit == null ? DEFAULT_OVERRIDE_HISTORY_LIMIT : Number(req.query.limit);
+  if (!Number.isInteger(limit) || limit < 1 || limit > 1000) {
+    return res.status(400).json({ error: 'invalid limit; expected an integer between 1 and 1000' });
+  }
+  try {
+    const { history } = await readCoordinateOverrides();
+    const entries = history.filter(h => !req.query.key || h.key === req.query.key).reverse();
+    res.json({ count: entries.length, history: entries.slice(0, limit) });
+  } catch (err) {
+    sendOverrideError(res, err, 'read coordinate override history');
+  }
+});
+
+app.get('/api/coordinates/:key', async (req, res) => {
+  const key = req.params.key;
+  if (!isOverrideKey(key)) return res.status(400).json({ error: 'invalid key; expected "<country code>-<city code>", e.g. al-tia' });
+  try {
+    const { overrides, history } = await readCoordinateOverrides();
+    if (!overrides[key]) return res.status(404).json({ error: `no override for ${key}` });
+    res.json({
+      key,
+      ...overrides[key],
+      relays: relaysPerCity().get(key) || 0,
+      history: history.filter(h => h.key === key).reverse()
+    });
   } catch (err) {
-    return res.status(500).json({ error: err && err.message ? err.message : String(err) });
+    sendOverrideError(res, err, 'read coordinate override');
   }
 });
 
-// Simple health check
+// Create or replace: { lat, lon, reason, author, city?, force? }
+app.put('/api/coordinates/:key', requireCoordinatesToken, express.json(), async (req, res) => {
+  try {
+    const { override, created } = await setCoordinateOverride(req.params.key, req.body);
+    const moved = await reapplyOverrides();
+    res.status(created ? 201 : 200).json({ key: req.params.key, ...override, moved });
+  } catch (err) {
+    sendOverrideError(res, err, 'save coordinate override');
+  }
+});
+
+// Remove: { reason, author } in the body or the query string
+app.delete('/api/coordinates/:key', requireCoordinatesToken, express.json(), async (req, res) => {
+  const input = req.body && Object.keys(req.body).length ? req.body : req.query;
+  try {
+    const removed = await deleteCoordinateOverride(req.params.key, input);
+    const moved = await reapplyOverrides();
+    res.json({ key: req.params.key, removed, moved });
+  } catch (err) {
+    sendOverrideError(res, err, 'remove coordinate override');
+  }
+});
+
+// Prometheus text exposition of the metrics above
+app.get('/metrics', (req, res) => {
+  res.set('Content-Type', METRICS_CONTENT_TYPE);
+  res.send(metrics.render());
+});
+
+// Health check including dataset freshness and the scheduled refresh state
 app.get('/health', (req, res) => {
-  res.json({ status: 'ok', uptime: process.uptime() });
+  const refresh = scheduler.status();
+  const failing = !!(refresh.lastError && (!refresh.lastSuccessAt || refresh.lastError.at > refresh.lastSuccessAt));
+  res.json({
+    status: failing || store.lastLoadError ? 'degraded' : 'ok',
+    uptime: process.uptime(),
+    dataset: {
+      generatedAt: store.dataset.generatedAt,
+      ageSeconds: store.ageSeconds(),
+      relayCount: store.relays.length,
+      loadedAt: store.loadedAt,
+      lastLoadError: store.lastLoadError
+    },
+    refresh
+  });
 });
 
 // Ensure data directory exists on startup (best-effort)
@@ -73,7 +638,20 @@ async function ensureDataDir() {
   }
 }
 
-ensureDataDir().then(() => {
+async function loadDataset() {
+  try {
+    await store.load({ force: true });
+  } catch (err) {
+    console.error('Failed to load relays dataset:', err && err.message ? err.message : err);
+  }
+  // only publish changes after the initial load
+  events.attach(store);
+  // pick up `npm run ingest` runs made outside the server
+  store.watch();
+}
+
+ensureDataDir().then(loadDataset).then(() => {
+  scheduler.start();
   app.listen(PORT, () => {
     console.log(`MullvadViz server listening on http://localhost:${PORT}`);
   });
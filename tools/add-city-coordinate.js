@@ -1,22 +1,70 @@
-import { readFile, writeFile } from 'fs/promises';
-import path from 'path';
-import { fileURLToPath } from 'url';
+/**
+ * tools/add-city-coordinate.js
+ *
+ * Set or remove a coordinate override (lib/coordinate-overrides.js) from the
+ * command line, the offline counterpart of PUT/DELETE /api/coordinates/:key.
+ * The change is recorded in the overrides file's history and applied to
+ * data/relays.json right away (a running server picks the file up).
+ *
+ * Usage:
+ *  - node tools/add-city-coordinate.js <key> <lat> <lon> --reason "..." [--author name] [--city Name] [--force]
+ *      e.g. node tools/add-city-coordinate.js al-tia 41.3275 19.8189 --reason "Tirana was in the Atlantic"
+ *      --force  save even when the point lies outside the key's country
+ *  - node tools/add-city-coordinate.js --remove <key> --reason "..." [--author name]
+ *
+ * The author defaults to the current user name.
+ */
 
-const __filename = fileURLToPath(import.meta.url);
-const __dirname = path.dirname(__filename);
-const CITY_COORDS_PATH = path.join(__dirname, '..', 'data', 'city-coordinates.json');
+import os from 'os';
+import { deleteCoordinateOverride, setCoordinateOverride } from '../lib/coordinate-overrides.js';
+import { readCurrentDataset, reapplyCoordinates } from '../lib/ingest.js';
+
+const USAGE = 'Usage: node tools/add-city-coordinate.js <key> <lat> <lon> --reason "..." [--author name] [--city Name] [--force]\n'
+  + '       node tools/add-city-coordinate.js --remove <key> --reason "..." [--author name]';
+
+function optionValue(argv, name) {
+  const i = argv.indexOf(name);
+  return i >= 0 ? argv[i + 1] : null;
+}
+
+// Positional arguments, i.e. everything that is not an option or its value
+function positional(argv) {
+  const valued = ['--reason', '--author', '--city', '--remove'];
+  return argv.filter((a, i) => !a.startsWith('--') && !valued.includes(argv[i - 1]));
+}
 
 async function main() {
-  try {
-    const contents = await readFile(CITY_COORDS_PATH, 'utf8');
-    const coords = JSON.parse(contents);
-    // Add Tirana coordinates (TIA) based on known location: 41.32795, -19.81902
-    coords['tia'] = { lat: 41.32795, lon: -19.81902 };
-    await writeFile(CITY_COORDS_PATH, JSON.stringify(coords, null, 2), 'utf8');
-    console.log('city-coordinates.json updated with tia');
-  } catch (e) {
-    console.error('Failed to update city coordinates:', e);
+  const argv = process.argv.slice(2);
+  const reason = optionValue(argv, '--reason');
+  const author = optionValue(argv, '--author') || process.env.USER || os.userInfo().username;
+  const removeKey = optionValue(argv, '--remove');
+
+  if (removeKey) {
+    await deleteCoordinateOverride(removeKey, { reason, author });
+    console.log(`Removed the coordinate override for ${removeKey}`);
+  } else {
+    const [key, lat, lon] = positional(argv);
+    if (!key || lat == null || lon == null) {
+      console.error(USAGE);
+      process.exit(1);
+    }
+    const { override, created } = await setCoordinateOverride(key, {
+      lat,
+      lon,
+      reason,
+      author,
+      city: optionValue(argv, '--city'),
+      force: argv.includes('--force')
+    });
+    console.log(`${created ? 'Added' : 'Updated'} the coordinate override for ${key}: ${override.lat}, ${override.lon}`);
   }
+
+  const dataset = await readCurrentDataset();
+  if (dataset) await reapplyCoordinates(dataset);
 }
 
-main();
+main().catch(err => {
+  console.error('add-city-coordinate failed:', err.message || err);
+  for (const detail of err.details || []) console.error(`  - ${detail}`);
+  process.exit(1);
+});
@@ -0,0 +1,83 @@
+/**
+ * tools/alerts-dry-run.js
+ *
+ * Evaluate the alert rules (lib/alerts.js) between two local datasets and
+ * print what would be sent. Nothing is POSTed and the cooldown state is not
+ * read or written.
+ *
+ * Usage:
+ *  - node tools/alerts-dry-run.js
+ *      -> compare the two most recent snapshots in data/snapshots/
+ *  - node tools/alerts-dry-run.js <from> <to>
+ *      -> each side is a snapshot id (e.g. 20250101T120000Z) or a path to a
+ *         dataset file such as data/relays.json
+ *  - node tools/alerts-dry-run.js --rules path/to/alerts.json [<from> <to>]
+ *      -> use another rules file than data/alerts.json
+ */
+
+import { readFile } from 'fs/promises';
+import path from 'path';
+import { ALERTS_PATH, evaluateAlertRules, loadAlertConfig, webhooksForAlert } from '../lib/alerts.js';
+import { isSnapshotId, listSnapshots, readSnapshot } from '../lib/snapshots.js';
+import { readDataset } from '../lib/schema.js';
+
+async function loadSide(ref) {
+  if (isSnapshotId(ref)) return { label: `snapshot ${ref}`, dataset: await readSnapshot(ref) };
+  const file = path.resolve(ref);
+  return { label: file, dataset: readDataset(JSON.parse(await readFile(file, 'utf8'))) };
+}
+
+async function main() {
+  const argv = process.argv.slice(2);
+  let rulesFile = ALERTS_PATH;
+  const refs = [];
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i] === '--rules') rulesFile = argv[++i];
+    else if (argv[i].startsWith('--rules=')) rulesFile = argv[i].slice('--rules='.length);
+    else refs.push(argv[i]);
+  }
+  if (!rulesFile || (refs.length !== 0 && refs.length !== 2)) {
+    console.error('Usage: node tools/alerts-dry-run.js [--rules <file>] [<from> <to>]');
+    process.exit(1);
+  }
+
+  if (refs.length === 0) {
+    const index = await listSnapshots();
+    if (index.length < 2) {
+      console.error('Need two snapshots in data/snapshots/ (or pass <from> <to> explicitly)');
+      process.exit(1);
+    }
+    refs.push(index[index.length - 2].id, index[index.length - 1].id);
+  }
+
+  let config;
+  try {
+    config = await loadAlertConfig(path.resolve(rulesFile));
+  } catch (err) {
+    console.error(`Invalid rules in ${rulesFile}: ${err.message}`);
+    (err.details || []).forEach(d => console.error(`  - ${d}`));
+    process.exit(1);
+  }
+  if (!config) {
+    console.error(`No alert rules at ${rulesFile} (see data/alerts.example.json)`);
+    process.exit(1);
+  }
+
+  const [from, to] = await Promise.all(refs.map(loadSide));
+  console.log(`Evaluating ${config.rules.length} rules: ${from.label} -> ${to.label} (dry run, nothing sent)`);
+  const alerts = evaluateAlertRules(config, from.dataset.relays, to.dataset.relays);
+  if (alerts.length === 0) {
+    console.log('No rules matched.');
+    return;
+  }
+  for (const alert of alerts) {
+    const names = webhooksForAlert(config, alert).map(w => w.name || w.url);
+    console.log(`- [${alert.key}] ${alert.message}`);
+    console.log(`    -> ${names.length ? names.join(', ') : '(no webhooks configured)'}`);
+  }
+}
+
+main().catch(err => {
+  console.error('Alert dry run failed:', err.message || err);
+  process.exit(1);
+});
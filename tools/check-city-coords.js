@@ -0,0 +1,117 @@
+/**
+ * tools/check-city-coords.js
+ *
+ * Report suspicious entries in the city coordinates file so they can be
+ * reviewed (and re-fetched with `update-city-coords.js --city ... --country ..`
+ * or fixed by hand).
+ *
+ * An entry's expected country is the country of the relays that resolve to it
+ * during ingestion, or its own `countryCode` when no relay uses it. It is
+ * reported when:
+ *  - conflict:   it lies outside the expected country (more than
+ *                BORDER_TOLERANCE_KM from its border, to allow for coastal
+ *                cities and the coarse boundary shapes), when relays of
+ *                several countries share it, or when its stored `countryCode`
+ *                disagrees with the relays
+ *  - far:        it is more than --max-km (default 3000) from the centroid of
+ *                the expected country
+ *  - low-confidence: its geocoding confidence is below 0.5
+ *
+ * Usage:
+ *  - node tools/check-city-coords.js [--max-km 3000] [--json] [--strict]
+ *      --json    print the report as JSON
+ *      --strict  exit with status 1 when anything is reported
+ */
+
+import { cityCoordinateUsage, readCityCoordinates, readCurrentDataset } from '../lib/ingest.js';
+import { BORDER_TOLERANCE_KM, countryAt, distanceToCountryKm, loadCountryBoundaries } from '../lib/boundaries.js';
+import { haversineKm } from '../lib/geo.js';
+
+const DEFAULT_MAX_KM = 3000;
+const LOW_CONFIDENCE = 0.5;
+
+function optionValue(argv, name) {
+  const i = argv.indexOf(name);
+  return i >= 0 ? argv[i + 1] : null;
+}
+
+function reviewEntry(key, entry, relays, countriesByCode, boundaries, maxKm) {
+  const issues = [];
+  const relayCountries = [...new Set(relays.map(r => (r.countryCode || '').toUpperCase()).filter(Boolean))];
+  const stored = entry.countryCode ? String(entry.countryCode).toUpperCase() : null;
+  if (relayCountries.length > 1) issues.push({ type: 'conflict', message: `used by relays in ${relayCountries.join(', ')}` });
+  if (stored && relayCountries.length && !relayCountries.includes(stored)) {
+    issues.push({ type: 'conflict', message: `entry says ${stored}, relays are in ${relayCountries.join(', ')}` });
+  }
+
+  const expected = relayCountries.length ? relayCountries : (stored ? [stored] : []);
+  for (const code of expected) {
+    const country = countriesByCode.get(code);
+    if (!country) continue;
+    const outsideKm = distanceToCountryKm(country, entry.lat, entry.lon);
+    if (outsideKm > BORDER_TOLERANCE_KM) {
+      const actual = countryAt(boundaries, entry.lat, entry.lon);
+      const where = actual ? `in ${actual.name}${actual.code ? ` (${actual.code})` : ''}` : 'not on land';
+      issues.push({ type: 'conflict', message: `outside ${code} by ~${Math.round(outsideKm)} km (${where})` });
+    }
+    const centroidKm = haversineKm([entry.lat, entry.lon], country.centroid);
+    if (centroidKm > maxKm) {
+      issues.push({ type: 'far', message: `${Math.round(centroidKm)} km from the centroid of ${code}` });
+    }
+  }
+
+  if (typeof entry.confidence === 'number' && entry.confidence < LOW_CONFIDENCE) {
+    issues.push({ type: 'low-confidence', message: `confidence ${entry.confidence}${entry.display_name ? ` (${entry.display_name})` : ''}` });
+  }
+
+  return {
+    key,
+    lat: entry.lat,
+    lon: entry.lon,
+    expectedCountries: expected,
+    relays: relays.length,
+    source: entry.source || null,
+    issues
+  };
+}
+
+async function main() {
+  const argv = process.argv.slice(2);
+  const maxKmArg = optionValue(argv, '--max-km');
+  const maxKm = maxKmArg == null ? DEFAULT_MAX_KM : Number(maxKmArg);
+  if (!Number.isFinite(maxKm) || maxKm <= 0) {
+    console.error('Invalid --max-km argument; expected a positive number of kilometres.');
+    process.exit(1);
+  }
+
+  const [cityCoords, dataset, boundaries] = await Promise.all([
+    readCityCoordinates(),
+    readCurrentDataset(),
+    loadCountryBoundaries()
+  ]);
+  const usage = await cityCoordinateUsage(dataset ? dataset.relays : []);
+  const countriesByCode = new Map(boundaries.filter(c => c.code).map(c => [c.code, c]));
+
+  const reviewed = Object.entries(cityCoords)
+    .filter(([, v]) => v && typeof v.lat === 'number' && typeof v.lon === 'number')
+    .map(([key, entry]) => reviewEntry(key, entry, usage.get(key) || [], countriesByCode, boundaries, maxKm));
+  const flagged = reviewed.filter(r => r.issues.length);
+  const unchecked = reviewed.filter(r => r.expectedCountries.length === 0).length;
+
+  if (argv.includes('--json')) {
+    console.log(JSON.stringify({ checked: reviewed.length, unchecked, maxKm, flagged }, null, 2));
+  } else {
+    for (const r of flagged) {
+      const used = r.relays ? `, used by ${r.relays} relay${r.relays === 1 ? '' : 's'}` : ', unused';
+      console.log(`${r.key} (${r.lat}, ${r.lon}${used})`);
+      for (const issue of r.issues) console.log(`  - ${issue.type}: ${issue.message}`);
+    }
+    console.log(`${flagged.length} of ${reviewed.length} entries flagged; ${unchecked} without a known country were not checked.`);
+  }
+  if (argv.includes('--strict') && flagged.length) process.exit(1);
+}
+
+main().catch(err => {
+  console.error('check-city-coords failed:', err.message || err);
+  process.exit(1);
+});
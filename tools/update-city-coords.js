@@ -1,16 +1,18 @@
 /**
  * tools/update-city-coords.js
  *
- * Populate / update data/city-coordinates.json by querying
- * Nominatim (OpenStreetMap) for missing city coordinates.
+ * Populate / update data/city-coordinates.json by geocoding missing city
+ * coordinates through lib/geocoder.js (Nominatim by default; set GEOCODER and
+ * GEOCODER_FILE to use an offline gazetteer or a fixture file instead).
  *
  * Usage:
  *  - node tools/update-city-coords.js
  *      -> scans data/relays.json for unique city names and queries
  *         Nominatim for any city not present in data/city-coordinates.json
  *
- *  - node tools/update-city-coords.js --city "London"
- *      -> fetch coordinates only for the specified city (adds/updates entry)
+ *  - node tools/update-city-coords.js --city "London" [--country GB]
+ *      -> fetch coordinates only for the specified city (adds/updates entry);
+ *         the country defaults to the one the relays list for that city
  *
  *  - node tools/update-city-coords.js --all
  *      -> refresh coordinates for every city found in data/relays.json
@@ -19,20 +21,38 @@
  *      -> re-query even if an entry exists (use carefully)
  *
  * Notes:
- *  - Nominatim is rate-limited. This script enforces a 3 second delay
- *    between requests (configurable via WAIT_MS).
+ *  - Nominatim is rate-limited. Requests go through the geocoder's rate
+ *    limiter (3 seconds apart by default, GEOCODER_MIN_INTERVAL_MS), whose
+ *    slots are reserved in data/geocode-ratelimit.json so a running server's
+ *    /api/geocode and this script stay within the rate together. Answers are
+ *    cached in data/geocode-cache.json, also shared with /api/geocode, so
+ *    re-running the script only queries what it has not seen recently.
  *  - The script writes to data/city-coordinates.json and preserves existing entries.
- *  - Keys written: exact city name as found in relays.json and a lowercase
- *    variant to help case-insensitive lookups.
+ *  - Keys written: exact city name as found in relays.json, a lowercase
+ *    variant and the city codes of the relays in that city (all overwritten,
+ *    since ingestion tries the city code first). A city code shared by
+ *    relays of different city names is not written.
  *  - The script will try several candidate query strings per city (strip state,
  *    just city, etc.) before giving up.
+ *  - Queries are restricted to the relay's country (Nominatim `countrycodes`)
+ *    and results whose address is in another country are rejected, so
+ *    "Athens" for a Greek relay can no longer resolve to Athens, Georgia.
+ *  - Each entry written records where it came from:
+ *      { lat, lon, countryCode, source, display_name, query, timestamp,
+ *        confidence }
+ *    where source is the geocoder provider and confidence (0..1) is scored
+ *    by lib/geocoder.js. Run `npm run check-city-coords` to review doubtful
+ *    entries.
  *
- * IMPORTANT: Be polite to the Nominatim service. Do not remove or reduce the delay.
+ * IMPORTANT: Be polite to the Nominatim service. Do not lower
+ * GEOCODER_MIN_INTERVAL_MS below Nominatim's usage policy (1 request/second).
  */
 
 import path from 'path';
 import { fileURLToPath } from 'url';
 import { readFile, writeFile, appendFile } from 'fs/promises';
+import { readDataset } from '../lib/schema.js';
+import { GeocoderError, geocoderCounts, geocoderFromEnv } from '../lib/geocoder.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -41,14 +61,6 @@ const RELAYS_PATH = path.join(__dirname, '..', 'data', 'relays.json');
 const CITY_COORDS_PATH = path.join(__dirname, '..', 'data', 'city-coordinates.json');
 const DEBUG_LOG_PATH = path.join(__dirname, '..', 'lat-long-debug.txt');
 
-const WAIT_MS = 3000; // 3 seconds between requests
-const NOMINATIM_URL = 'https://nominatim.openstreetmap.org/search';
-const USER_AGENT = 'mullvad-viz/1.0 (+https://github.com/your-org/mullvad-viz)';
-
-function sleep(ms) {
-  return new Promise(resolve => setTimeout(resolve, ms));
-}
-
 async function loadJson(pathname) {
   try {
     const txt = await readFile(pathname, 'utf8');
@@ -74,118 +86,27 @@ async function logDebug(line) {
   console.log(line);
 }
 
-/**
- * Build a list of candidate query strings for Nominatim from a raw city string.
- * Examples:
- *  - "San Jose, CA" -> ["San Jose, CA", "San Jose", "San Jose, United States"]
- *  - "Boston, MA"    -> ["Boston, MA", "Boston"]
- */
-function buildCandidates(rawCity) {
-  const s = (rawCity || '').toString().trim();
-  const candidates = [];
-  if (!s) return candidates;
-
-  // push original
-  candidates.push(s);
-
-  // split on comma
-  const parts = s.split(',').map(p => p.trim()).filter(Boolean);
-  if (parts.length > 1) {
-    // push just the first part (city name only)
-    candidates.push(parts[0]);
-
-    // If second token looks like a US state (2 letters), add city only and city + "United States"
-    const second = parts[1];
-    if (/^[A-Za-z]{2}$/.test(second)) {
-      candidates.push(`${parts[0]}, United States`);
-    } else if (/^[A-Za-z]{2}\s+[A-Za-z]{2}$/.test(second)) {
-      // e.g., "St Louis, MO USA" - still push city only
-      candidates.push(parts[0]);
-    } else {
-      // for other multi-parts, also try first two parts joined
-      candidates.push(`${parts[0]}, ${parts[1]}`);
-    }
-  } else {
-    // single token city - also try appending country guesses for ambiguous names? keep simple
-    // nothing more for now
-  }
-
-  // ensure uniqueness and preserve order
-  const seen = new Set();
-  const uniq = [];
-  for (const c of candidates) {
-    if (!seen.has(c.toLowerCase())) {
-      seen.add(c.toLowerCase());
-      uniq.push(c);
-    }
-  }
-  return uniq;
-}
-
-/**
- * Query Nominatim for a single candidate string.
- * Uses 'city=' param when the candidate is a single token (no comma),
- * otherwise uses 'q=' free-text which tends to handle "City, ST" better.
- */
-async function queryNominatimCandidate(candidate) {
-  const isSimpleCity = !candidate.includes(',');
-  const url = isSimpleCity
-    ? `${NOMINATIM_URL}?city=${encodeURIComponent(candidate)}&format=json&limit=1`
-    : `${NOMINATIM_URL}?q=${encodeURIComponent(candidate)}&format=json&limit=1`;
-
-  const headers = {
-    'User-Agent': USER_AGENT,
-    'Accept': 'application/json'
-  };
-
-  try {
-    const res = await fetch(url, { headers });
-    if (!res.ok) {
-      await logDebug(`  -> Nominatim HTTP ${res.status} for candidate "${candidate}"`);
-      return null;
-    }
-    const json = await res.json();
-    if (!Array.isArray(json) || json.length === 0) return null;
-    const entry = json[0];
-    const lat = parseFloat(entry.lat);
-    const lon = parseFloat(entry.lon);
-    if (!Number.isFinite(lat) || !Number.isFinite(lon)) return null;
-    return { lat, lon, display_name: entry.display_name || null, candidate };
-  } catch (err) {
-    await logDebug(`  -> Nominatim request failed for "${candidate}": ${err && err.message ? err.message : err}`);
-    return null;
-  }
-}
-
-/**
- * Try to find coordinates for a city by trying multiple candidates.
- * Returns { lat, lon, display_name, usedCandidate } or null.
- */
-async function findCoordsForCity(city) {
-  const candidates = buildCandidates(city);
-  if (candidates.length === 0) return null;
-
-  for (const candidate of candidates) {
-    // try candidate, with one retry for transient issues
-    const result = await queryNominatimCandidate(candidate);
-    if (result) return result;
-    // small backoff (not the main 3s)
-    await sleep(1000);
-    const retry = await queryNominatimCandidate(candidate);
-    if (retry) return retry;
-    // otherwise move to next candidate
-  }
-  return null;
-}
-
-function gatherCityNamesFromRelays(relays) {
-  const set = new Set();
+// City name -> { countryCode, cityCodes } of the relays in that city, where
+// cityCodes are the city codes used by this city only (a code shared with
+// another city name is left out, so one city's answer cannot move the other)
+function gatherCitiesFromRelays(relays) {
+  const cities = new Map();
+  const namesByCode = new Map();
   for (const r of relays) {
     if (!r) continue;
     const city = (r.city || '').toString().trim();
-    if (city) set.add(city);
+    if (!city) continue;
+    if (!cities.has(city)) cities.set(city, { countryCode: r.countryCode ? r.countryCode.toUpperCase() : null, cityCodes: new Set() });
+    if (r.cityCode) {
+      cities.get(city).cityCodes.add(r.cityCode);
+      if (!namesByCode.has(r.cityCode)) namesByCode.set(r.cityCode, new Set());
+      namesByCode.get(r.cityCode).add(city);
+    }
+  }
+  for (const info of cities.values()) {
+    info.cityCodes = [...info.cityCodes].filter(code => namesByCode.get(code).size === 1);
   }
-  return [...set].sort();
+  return new Map([...cities].sort(([a], [b]) => a.localeCompare(b)));
 }
 
 function normalizeKey(key) {
@@ -196,11 +117,14 @@ async function main() {
   const argv = process.argv.slice(2);
   const singleCityArgIndex = argv.findIndex(a => a === '--city' || a === '-c');
   const singleCity = singleCityArgIndex >= 0 ? (argv[singleCityArgIndex + 1] || '') : null;
+  const countryArgIndex = argv.indexOf('--country');
+  const countryArg = countryArgIndex >= 0 ? (argv[countryArgIndex + 1] || '').toUpperCase() : null;
   const force = argv.includes('--force') || argv.includes('-f');
   const all = argv.includes('--all') || argv.includes('-a');
 
-  const relays = await loadJson(RELAYS_PATH);
-  if (!Array.isArray(relays) || relays.length === 0) {
+  const parsed = await loadJson(RELAYS_PATH);
+  const relays = parsed ? readDataset(parsed).relays : [];
+  if (relays.length === 0) {
     console.error('No relays found in data/relays.json. Run ingest first.');
     process.exit(1);
   }
@@ -208,6 +132,12 @@ async function main() {
   let cityCoords = await loadJson(CITY_COORDS_PATH);
   if (!cityCoords || typeof cityCoords !== 'object') cityCoords = {};
 
+  if (countryArg != null && !/^[A-Z]{2}$/.test(countryArg)) {
+    console.error('Invalid --country argument; expected a two-letter country code.');
+    process.exit(1);
+  }
+
+  const relayCities = gatherCitiesFromRelays(relays);
   let citiesToProcess = [];
 
   if (singleCity) {
@@ -218,7 +148,7 @@ async function main() {
     }
     citiesToProcess = [k];
   } else {
-    const cityNames = gatherCityNamesFromRelays(relays);
+    const cityNames = [...relayCities.keys()];
     if (all) {
       citiesToProcess = cityNames;
     } else {
@@ -239,24 +169,45 @@ async function main() {
     process.exit(0);
   }
 
-  console.log(`Will query Nominatim for ${citiesToProcess.length} cities (wait ${WAIT_MS}ms between requests).`);
-  await logDebug(`Will query Nominatim for ${citiesToProcess.length} cities (wait ${WAIT_MS}ms between requests).`);
+  const geocoder = geocoderFromEnv(process.env, { log: line => logDebug(`  -> ${line}`) });
+  await logDebug(`Will geocode ${citiesToProcess.length} cities with ${geocoder.provider}.`);
 
   for (let i = 0; i < citiesToProcess.length; i++) {
     const city = citiesToProcess[i];
-    await logDebug(`[${i + 1}/${citiesToProcess.length}] Querying: ${city}`);
-    const result = await findCoordsForCity(city);
+    const relayCity = relayCities.get(city) || null;
+    const countryCode = (singleCity && countryArg) || (relayCity && relayCity.countryCode) || null;
+    await logDebug(`[${i + 1}/${citiesToProcess.length}] Querying: ${city}${countryCode ? ` (${countryCode})` : ' (no country known)'}`);
+    let result = null;
+    try {
+      result = await geocoder.geocode(city, { countryCode });
+    } catch (err) {
+      if (!(err instanceof GeocoderError)) throw err;
+      await logDebug(`  -> Geocoding "${city}" failed: ${err.message}`);
+      continue;
+    }
 
     if (result) {
       const exactKey = city;
       const lowerKey = city.toLowerCase();
-      cityCoords[exactKey] = { lat: Number(result.lat), lon: Number(result.lon) };
-      if (!Object.prototype.hasOwnProperty.call(cityCoords, lowerKey)) {
-        cityCoords[lowerKey] = { lat: Number(result.lat), lon: Number(result.lon) };
-      }
-      await logDebug(`  -> ${result.lat}, ${result.lon} (via "${result.candidate}")`);
+      const entry = {
+        lat: Number(result.lat),
+        lon: Number(result.lon),
+        countryCode: result.countryCode,
+        source: result.source,
+        display_name: result.display_name,
+        query: result.query,
+        timestamp: new Date().toISOString(),
+        confidence: result.confidence
+      };
+      cityCoords[exactKey] = entry;
+      // ingest looks up the relays' city code first, then the lower-case
+      // name, then the exact name (cityCoordinateEntry in lib/ingest.js), so
+      // refresh those keys too: a stale entry there would shadow the new one
+      cityCoords[lowerKey] = { ...entry };
+      for (const code of relayCity ? relayCity.cityCodes : []) cityCoords[code] = { ...entry };
+      await logDebug(`  -> ${result.lat}, ${result.lon} (${result.display_name}; via "${result.query}", confidence ${result.confidence}${result.cached ? ', cached' : ''})`);
     } else {
-      await logDebug(`  -> No result for "${city}" from Nominatim`);
+      await logDebug(`  -> No result for "${city}" from ${geocoder.provider}`);
     }
 
     // persist after each attempt
@@ -266,13 +217,12 @@ async function main() {
       console.warn('Failed to save city-coordinates.json:', e && e.message ? e.message : e);
       await logDebug(`Failed to save city-coordinates.json: ${e && e.message ? e.message : e}`);
     }
-
-    // wait unless last
-    if (i < citiesToProcess.length - 1) {
-      await sleep(WAIT_MS);
-    }
   }
 
+  const counts = geocoderCounts();
+  const cacheHits = counts.cache.filter(c => c.result === 'hit').reduce((n, c) => n + c.value, 0);
+  const upstream = counts.upstream.map(u => `${u.value} ${u.outcome}`).join(', ') || 'none';
+  await logDebug(`Geocoder: ${cacheHits} cache hits; ${geocoder.provider} lookups: ${upstream}`);
   await logDebug(`Done. Updated ${CITY_COORDS_PATH}`);
   console.log('Done. Updated', CITY_COORDS_PATH);
   process.exit(0);